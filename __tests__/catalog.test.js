@@ -0,0 +1,175 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { createApp } = require('../app');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Catalog and Template Endpoints', () => {
+  let mongoServer;
+  let ownerId;
+  let otherId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const owner = new User({ userName: 'owner', email: 'owner@example.com' });
+    await owner.save();
+    ownerId = owner._id.toString();
+
+    const other = new User({ userName: 'other', email: 'other@example.com' });
+    await other.save();
+    otherId = other._id.toString();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  const createCatalog = (userId, body) =>
+    request(app)
+      .post('/api/v1/catalogs')
+      .set('Authorization', bearer(userId))
+      .send(body);
+
+  test('should let the owner manage catalog items', async () => {
+    const created = await createCatalog(ownerId, {
+      name: 'Restaurants',
+      items: [{ title: 'Pizza', tags: ['italian'] }],
+    });
+    expect(created.statusCode).toBe(201);
+    const catalogId = created.body.catalog._id;
+
+    const added = await request(app)
+      .post(`/api/v1/catalogs/${catalogId}/items`)
+      .set('Authorization', bearer(ownerId))
+      .send({
+        title: 'Sushi',
+        description: 'Conveyor belt place',
+        imageUrl: 'https://example.com/sushi.png',
+      });
+    expect(added.statusCode).toBe(201);
+    const { itemId } = added.body.item;
+
+    const updated = await request(app)
+      .put(`/api/v1/catalogs/${catalogId}/items/${itemId}`)
+      .set('Authorization', bearer(ownerId))
+      .send({ tags: ['japanese'] });
+    expect(updated.statusCode).toBe(200);
+    expect(updated.body.item).toHaveProperty('tags', ['japanese']);
+
+    const removed = await request(app)
+      .delete(`/api/v1/catalogs/${catalogId}/items/${itemId}`)
+      .set('Authorization', bearer(ownerId));
+    expect(removed.statusCode).toBe(200);
+
+    const fetched = await request(app)
+      .get(`/api/v1/catalogs/${catalogId}`)
+      .set('Authorization', bearer(ownerId));
+    expect(fetched.body.catalog.items.map((item) => item.title)).toEqual([
+      'Pizza',
+    ]);
+  });
+
+  test('should share public catalogs without letting others change them', async () => {
+    const privateCatalog = await createCatalog(ownerId, { name: 'Private' });
+    const publicCatalog = await createCatalog(ownerId, {
+      name: 'Public',
+      isPublic: true,
+    });
+
+    const listed = await request(app)
+      .get('/api/v1/catalogs')
+      .set('Authorization', bearer(otherId));
+    expect(listed.statusCode).toBe(200);
+    expect(listed.body.catalogs.map((catalog) => catalog.name)).toEqual([
+      'Public',
+    ]);
+
+    const hidden = await request(app)
+      .get(`/api/v1/catalogs/${privateCatalog.body.catalog._id}`)
+      .set('Authorization', bearer(otherId));
+    expect(hidden.statusCode).toBe(404);
+    expect(hidden.body).toHaveProperty('error', "Catalog doesn't exist");
+
+    const renamed = await request(app)
+      .put(`/api/v1/catalogs/${publicCatalog.body.catalog._id}`)
+      .set('Authorization', bearer(otherId))
+      .send({ name: 'Mine now' });
+    expect(renamed.statusCode).toBe(403);
+    expect(renamed.body).toHaveProperty(
+      'error',
+      'Only the catalog owner can change it'
+    );
+  });
+
+  test('should create a session from a template built from a catalog', async () => {
+    const catalog = await createCatalog(ownerId, {
+      name: 'Evenings',
+      isPublic: true,
+      items: [
+        { title: 'Cinema', imageUrl: 'https://example.com/cinema.png' },
+        { title: 'Bowling', description: 'Ten-pin', tags: ['active'] },
+        { title: 'Karaoke' },
+      ],
+    });
+    const [cinema, bowling] = catalog.body.catalog.items;
+
+    const template = await request(app)
+      .post('/api/v1/templates')
+      .set('Authorization', bearer(otherId))
+      .send({
+        name: 'Friday night',
+        decisionRule: 'majority',
+        catalogId: catalog.body.catalog._id,
+        itemIds: [bowling.itemId, cinema.itemId],
+      });
+    expect(template.statusCode).toBe(201);
+    expect(
+      template.body.template.options.map((option) => option.title)
+    ).toEqual(['Bowling', 'Cinema']);
+
+    const session = await request(app)
+      .post('/create-session')
+      .set('Authorization', bearer(otherId))
+      .send({ templateId: template.body.template._id });
+    expect(session.statusCode).toBe(201);
+    expect(session.body.session).toHaveProperty('title', 'Friday night');
+    expect(session.body.session).toHaveProperty('decisionRule', 'majority');
+    expect(session.body.session.options).toEqual([
+      expect.objectContaining({
+        description: 'Bowling',
+        details: 'Ten-pin',
+        tags: ['active'],
+        yesVotes: 0,
+        noVotes: 0,
+      }),
+      expect.objectContaining({
+        description: 'Cinema',
+        imageUrl: 'https://example.com/cinema.png',
+      }),
+    ]);
+  });
+
+  test("should not create a session from someone else's private template", async () => {
+    const template = await request(app)
+      .post('/api/v1/templates')
+      .set('Authorization', bearer(ownerId))
+      .send({ name: 'Team lunch', options: [{ title: 'Canteen' }] });
+
+    const res = await request(app)
+      .post('/api/v1/sessions')
+      .set('Authorization', bearer(otherId))
+      .send({ title: 'Lunch', templateId: template.body.template._id });
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toHaveProperty('error', "Template doesn't exist");
+  });
+});
@@ -0,0 +1,204 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Comment = require('../models/Comment');
+const { createApp } = require('../app');
+const { signAccessToken, signGuestToken } = require('../middleware/auth');
+const { createSession, createUser, createUsers } = require('../fixtures');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Session comments', () => {
+  let mongoServer;
+  let creatorId;
+  let memberId;
+  let strangerId;
+  let sessionId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const [creator, member, stranger] = await createUsers(3);
+    [creatorId, memberId, strangerId] = [creator, member, stranger].map(
+      (user) => user._id.toString()
+    );
+    const { session } = await createSession({
+      createdBy: creator,
+      members: [member],
+      options: [
+        { optionId: '1', description: 'Pizza' },
+        { optionId: '2', description: 'Sushi' },
+      ],
+    });
+    sessionId = session._id.toString();
+  });
+
+  afterEach(async () => {
+    await Comment.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  const post = (userId, text, optionId) =>
+    request(app)
+      .post(
+        optionId
+          ? `/api/v1/sessions/${sessionId}/options/${optionId}/comments`
+          : `/api/v1/sessions/${sessionId}/comments`
+      )
+      .set('Authorization', bearer(userId))
+      .send({ text });
+
+  test('should page through the thread, newest first', async () => {
+    await post(creatorId, 'Pizza again?');
+    await post(memberId, 'Always');
+    await post(creatorId, 'Fine');
+
+    const res = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/comments?limit=2`)
+      .set('Authorization', bearer(memberId));
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ page: 1, limit: 2, total: 3 });
+    expect(res.body.comments.map((comment) => comment.text)).toEqual([
+      'Fine',
+      'Always',
+    ]);
+    expect(res.body.comments[1]).toMatchObject({
+      author: memberId,
+      optionId: null,
+    });
+
+    const next = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/comments?limit=2&page=2`)
+      .set('Authorization', bearer(memberId));
+    expect(next.body.comments.map((comment) => comment.text)).toEqual([
+      'Pizza again?',
+    ]);
+  });
+
+  test('should keep option comments apart from the thread', async () => {
+    const res = await post(memberId, 'Too far away', '2');
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.comment).toMatchObject({
+      optionId: '2',
+      text: 'Too far away',
+    });
+
+    const option = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/options/2/comments`)
+      .set('Authorization', bearer(creatorId));
+    expect(option.body.total).toBe(1);
+
+    const thread = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/comments`)
+      .set('Authorization', bearer(creatorId));
+    expect(thread.body.total).toBe(0);
+
+    const missing = await post(memberId, 'Hello?', 'nope');
+    expect(missing.statusCode).toEqual(404);
+  });
+
+  test('should only let members read and post', async () => {
+    const posted = await post(strangerId, 'Let me in');
+    expect(posted.statusCode).toEqual(403);
+
+    const read = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/comments`)
+      .set('Authorization', bearer(strangerId));
+    expect(read.statusCode).toEqual(403);
+  });
+
+  test('should let guests in the session take part', async () => {
+    const guest = await createUser({ isGuest: true, userName: 'Guest' });
+    const { session } = await createSession({
+      createdBy: await createUser(),
+      members: [guest],
+    });
+
+    const res = await request(app)
+      .post(`/api/v1/sessions/${session._id}/comments`)
+      .set('Authorization', `Bearer ${signGuestToken(guest._id, session._id)}`)
+      .send({ text: 'Hi all' });
+
+    expect(res.statusCode).toEqual(201);
+  });
+
+  test('should only let the author edit a comment', async () => {
+    const { body } = await post(memberId, 'Sushi is best');
+    const commentPath = `/api/v1/sessions/${sessionId}/comments/${body.comment._id}`;
+
+    const denied = await request(app)
+      .put(commentPath)
+      .set('Authorization', bearer(creatorId))
+      .send({ text: 'Pizza is best' });
+    expect(denied.statusCode).toEqual(403);
+
+    const res = await request(app)
+      .put(commentPath)
+      .set('Authorization', bearer(memberId))
+      .send({ text: 'Sushi is the best' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.comment.text).toEqual('Sushi is the best');
+    expect(res.body.comment.editedAt).not.toBeNull();
+  });
+
+  test("should let the creator delete anyone's comment, and members only their own", async () => {
+    const { body } = await post(memberId, 'Something rude');
+    const creatorComment = await post(creatorId, 'Be nice');
+    const commentPath = `/api/v1/sessions/${sessionId}/comments/${body.comment._id}`;
+
+    const denied = await request(app)
+      .delete(
+        `/api/v1/sessions/${sessionId}/comments/${creatorComment.body.comment._id}`
+      )
+      .set('Authorization', bearer(memberId));
+    expect(denied.statusCode).toEqual(403);
+
+    const res = await request(app)
+      .delete(commentPath)
+      .set('Authorization', bearer(creatorId));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.comment).toMatchObject({ deletedBy: creatorId });
+    expect(res.body.comment).not.toHaveProperty('text');
+
+    // Deleted comments keep their place in the thread but can't be edited.
+    const thread = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/comments`)
+      .set('Authorization', bearer(memberId));
+    expect(thread.body.total).toBe(2);
+    const edit = await request(app)
+      .put(commentPath)
+      .set('Authorization', bearer(memberId))
+      .send({ text: 'Something nice' });
+    expect(edit.statusCode).toEqual(404);
+  });
+
+  test('should drop comments on an option when it is deleted', async () => {
+    const owner = await createUser();
+    const { session } = await createSession({
+      createdBy: owner,
+      options: [{ optionId: 'a', description: 'Bowling' }],
+      status: 'Pending',
+    });
+    await request(app)
+      .post(`/api/v1/sessions/${session._id}/options/a/comments`)
+      .set('Authorization', bearer(owner._id))
+      .send({ text: 'Closed on Mondays' });
+
+    const res = await request(app)
+      .delete(`/api/v1/sessions/${session._id}/options/a`)
+      .set('Authorization', bearer(owner._id));
+
+    expect(res.statusCode).toEqual(200);
+    expect(await Comment.countDocuments({ session: session._id })).toBe(0);
+  });
+});
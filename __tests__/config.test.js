@@ -0,0 +1,84 @@
+const { ConfigError, loadConfig } = require('../config');
+
+const validEnv = {
+  DB_STRING: 'mongodb://localhost:27017/venn',
+  ACCESS_TOKEN_SECRET: 'access-secret-0123456789',
+  REFRESH_TOKEN_SECRET: 'refresh-secret-0123456789',
+};
+
+describe('Configuration', () => {
+  test('should fill in defaults for optional settings', () => {
+    const config = loadConfig(validEnv);
+
+    expect(config).toEqual(
+      expect.objectContaining({
+        dbUri: 'mongodb://localhost:27017/venn',
+        port: 3000,
+        inviteBaseUrl: 'http://localhost:3000',
+        corsOrigins: [],
+        schedulerIntervalMs: 60 * 1000,
+        pendingSessionTtlMs: 7 * 24 * 60 * 60 * 1000,
+      })
+    );
+    expect(Object.isFrozen(config)).toBe(true);
+  });
+
+  test('should parse numbers and comma-separated origins', () => {
+    const config = loadConfig({
+      ...validEnv,
+      PORT: '8080',
+      CORS_ORIGINS: 'https://venn.example, https://admin.venn.example',
+      PENDING_SESSION_TTL_HOURS: '2',
+    });
+
+    expect(config.port).toBe(8080);
+    expect(config.corsOrigins).toEqual([
+      'https://venn.example',
+      'https://admin.venn.example',
+    ]);
+    expect(config.pendingSessionTtlMs).toBe(2 * 60 * 60 * 1000);
+  });
+
+  test('should list every missing or invalid setting', () => {
+    let error;
+    try {
+      loadConfig({
+        PORT: 'eighty',
+        INVITE_BASE_URL: 'venn.example',
+        ACCESS_TOKEN_SECRET: 'short',
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      '"DB_STRING" is required',
+      '"PORT" must be a number',
+      '"INVITE_BASE_URL" must be a valid uri with a scheme matching the http|https pattern',
+      '"ACCESS_TOKEN_SECRET" length must be at least 16 characters long',
+      '"REFRESH_TOKEN_SECRET" is required',
+    ]);
+    expect(error.message).toMatch(/^Invalid configuration:\n {2}- "DB_STRING"/);
+  });
+
+  test('should reject a refresh secret equal to the access secret', () => {
+    expect(() =>
+      loadConfig({
+        ...validEnv,
+        REFRESH_TOKEN_SECRET: validEnv.ACCESS_TOKEN_SECRET,
+      })
+    ).toThrow('"REFRESH_TOKEN_SECRET" must differ from the access secret');
+  });
+
+  test('should only load and check the variables asked for', () => {
+    const config = loadConfig({ DB_STRING: validEnv.DB_STRING, PORT: 'x' }, [
+      'DB_STRING',
+    ]);
+
+    expect(config).toEqual({ dbUri: validEnv.DB_STRING });
+    expect(() => loadConfig({}, ['DB_STRING'])).toThrow(
+      '"DB_STRING" is required'
+    );
+  });
+});
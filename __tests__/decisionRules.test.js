@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { decide } = require('../results/decisionRules');
+
+describe('Decision rules', () => {
+  const [alice, bob, carol] = [1, 2, 3].map(
+    () => new mongoose.Types.ObjectId()
+  );
+
+  const buildSession = (decisionRule, quorum) =>
+    new Session({
+      title: 'Test',
+      decisionRule,
+      quorum,
+      users: [alice, bob, carol],
+      options: [
+        { optionId: '1', description: 'cinema' },
+        { optionId: '2', description: 'restaurant' },
+        { optionId: '3', description: 'bowling' },
+      ],
+      swipes: [
+        {
+          userId: alice,
+          optionSwipes: new Map([
+            ['1', 'yes'],
+            ['2', 'yes'],
+            ['3', 'yes'],
+          ]),
+        },
+        {
+          userId: bob,
+          optionSwipes: new Map([
+            ['1', 'yes'],
+            ['2', 'no'],
+            ['3', 'yes'],
+          ]),
+        },
+        {
+          userId: carol,
+          optionSwipes: new Map([
+            ['2', 'no'],
+            ['3', 'no'],
+          ]),
+        },
+      ],
+    });
+
+  test('should report yes, no and unswiped counts per option', () => {
+    const { results } = decide(buildSession('unanimous'));
+    expect(results).toContainEqual({
+      optionId: '1',
+      description: 'cinema',
+      yes: 2,
+      no: 0,
+      maybe: 0,
+      superlike: 0,
+      veto: 0,
+      unswiped: 1,
+      support: 2,
+      score: 2,
+      vetoed: false,
+    });
+  });
+
+  test('unanimous should find no winner without everyone agreeing', () => {
+    expect(decide(buildSession('unanimous')).winners).toEqual([]);
+  });
+
+  test('majority should pick options more than half the members liked', () => {
+    expect(decide(buildSession('majority')).winners).toEqual(['1', '3']);
+  });
+
+  test('quorum should compare yes votes against the session threshold', () => {
+    expect(decide(buildSession('quorum', 0.3)).winners).toEqual([
+      '1',
+      '3',
+      '2',
+    ]);
+    expect(decide(buildSession('quorum', 0.9)).winners).toEqual([]);
+  });
+
+  test('approval should return every option tied for most yes votes', () => {
+    expect(decide(buildSession('approval')).winners).toEqual(['1', '3']);
+  });
+
+  test('ranked should break ties using the share of no votes', () => {
+    const { rule, winners } = decide(buildSession('ranked'));
+    expect(rule).toBe('ranked');
+    expect(winners).toEqual(['1']);
+  });
+
+  test('should ignore swipes from users who left the session', () => {
+    const session = buildSession('unanimous');
+    session.users = [alice];
+    expect(decide(session).winners).toEqual(['1', '2', '3']);
+  });
+
+  test('should count a maybe as half a vote', () => {
+    const session = buildSession('majority');
+    session.swipes[2].optionSwipes.set('2', 'maybe');
+    session.swipes[1].optionSwipes.set('2', 'maybe');
+
+    const { results, winners } = decide(session);
+    expect(results.find((tally) => tally.optionId === '2')).toMatchObject({
+      yes: 1,
+      maybe: 2,
+      support: 2,
+      score: 2,
+    });
+    expect(winners).toEqual(['1', '2', '3']);
+  });
+
+  test('should rank superliked options higher', () => {
+    const session = buildSession('approval');
+    session.swipes[0].optionSwipes.set('3', 'superlike');
+    expect(decide(session).winners).toEqual(['3']);
+  });
+
+  test('should not let a vetoed option win under any rule', () => {
+    ['unanimous', 'majority', 'quorum', 'approval', 'ranked'].forEach(
+      (rule) => {
+        const session = buildSession(rule, 0.3);
+        session.swipes[2].optionSwipes.set('1', 'veto');
+        session.swipes[2].optionSwipes.set('3', 'veto');
+
+        const { results, winners } = decide(session);
+        expect(winners).not.toContain('1');
+        expect(winners).not.toContain('3');
+        expect(results[results.length - 1]).toHaveProperty('vetoed', true);
+      }
+    );
+  });
+});
@@ -0,0 +1,77 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { signAccessToken } = require('../middleware/auth');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const { createApp } = require('../app');
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Error responses', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  test('should report every invalid field with a VALIDATION_ERROR code', async () => {
+    const res = await request(app)
+      .post('/swipe-option')
+      .set('Authorization', bearer(userId))
+      .send({ sessionId: 'not-an-id', swipeAction: 'perhaps' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('code', 'VALIDATION_ERROR');
+    expect(res.body).toHaveProperty('error', 'sessionId must be a valid ID');
+    expect(res.body.details.map((detail) => detail.field)).toEqual([
+      'sessionId',
+      'optionId',
+      'swipeAction',
+    ]);
+  });
+
+  test('should validate query parameters', async () => {
+    const res = await request(app)
+      .get('/my-sessions')
+      .set('Authorization', bearer(userId))
+      .query({ limit: 1000 });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty('code', 'VALIDATION_ERROR');
+    expect(res.body.details[0]).toEqual(
+      expect.objectContaining({ field: 'limit', location: 'query' })
+    );
+  });
+
+  test('should return INVALID_JSON for a malformed body', async () => {
+    const res = await request(app)
+      .post('/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({
+      error: 'Request body is not valid JSON',
+      code: 'INVALID_JSON',
+    });
+  });
+
+  test('should return UNAUTHORIZED without a token', async () => {
+    const res = await request(app).post('/create-session').send({});
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({
+      error: 'Authentication token is required',
+      code: 'UNAUTHORIZED',
+    });
+  });
+
+  test('should return ROUTE_NOT_FOUND for unknown routes', async () => {
+    const res = await request(app).get('/no-such-route');
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({
+      error: "Route GET /no-such-route doesn't exist",
+      code: 'ROUTE_NOT_FOUND',
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createApp } = require('../app');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+const { toCsv } = require('../results/export');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Session results and export', () => {
+  let mongoServer;
+  let creatorId;
+  let memberId;
+  let outsiderId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const [creator, member, outsider] = await User.insertMany([
+      { userName: 'creator', email: 'creator@example.com' },
+      { userName: 'member', email: 'member@example.com' },
+      { userName: 'outsider', email: 'outsider@example.com' },
+    ]);
+    creatorId = creator._id.toString();
+    memberId = member._id.toString();
+    outsiderId = outsider._id.toString();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  const createSession = async () => {
+    const session = await Session.create({
+      title: 'Dinner',
+      createdBy: creatorId,
+      users: [creatorId, memberId],
+      status: 'Active',
+      decisionRule: 'majority',
+      options: [
+        { optionId: '1', description: 'Pizza, thin', yesVotes: 0, noVotes: 0 },
+        { optionId: '2', description: '=SUM(A1)', yesVotes: 0, noVotes: 0 },
+      ],
+    });
+    return session._id.toString();
+  };
+
+  const swipe = (sessionId, userId, optionId, swipeAction) =>
+    request(app)
+      .put(`/api/v1/sessions/${sessionId}/swipes/${optionId}`)
+      .set('Authorization', bearer(userId))
+      .send({ swipeAction });
+
+  test('should store the result when the session is completed', async () => {
+    const sessionId = await createSession();
+    await swipe(sessionId, creatorId, '1', 'yes');
+    await swipe(sessionId, memberId, '1', 'superlike');
+
+    const completed = await request(app)
+      .post(`/api/v1/sessions/${sessionId}/complete`)
+      .set('Authorization', bearer(creatorId));
+    expect(completed.statusCode).toBe(200);
+
+    const session = await Session.findById(sessionId);
+    expect(session.result).toMatchObject({ rule: 'majority', winners: ['1'] });
+    expect(session.result.decidedAt).toBeInstanceOf(Date);
+    expect(session.result.tallies[0]).toMatchObject({
+      optionId: '1',
+      yes: 1,
+      superlike: 1,
+    });
+
+    const result = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/result`)
+      .set('Authorization', bearer(creatorId));
+    expect(result.body).toHaveProperty(
+      'decidedAt',
+      session.result.decidedAt.toISOString()
+    );
+  });
+
+  test('should store the result when the last swipe completes the session', async () => {
+    const sessionId = await createSession();
+    for (const userId of [creatorId, memberId]) {
+      await swipe(sessionId, userId, '1', 'no');
+      await swipe(sessionId, userId, '2', 'yes');
+    }
+
+    const session = await Session.findById(sessionId);
+    expect(session.status).toBe('Completed');
+    expect(session.result.winners).toEqual(['2']);
+  });
+
+  test('should export the outcome as JSON', async () => {
+    const sessionId = await createSession();
+    await swipe(sessionId, creatorId, '2', 'yes');
+    await swipe(sessionId, memberId, '2', 'yes');
+
+    const res = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/export`)
+      .set('Authorization', bearer(memberId));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.session).toMatchObject({ id: sessionId, title: 'Dinner' });
+    expect(res.body.result).toEqual({
+      rule: 'majority',
+      winners: ['2'],
+      decidedAt: null,
+    });
+    expect(res.body.members).toEqual([
+      { id: creatorId, userName: 'creator', role: 'creator' },
+      { id: memberId, userName: 'member', role: 'member' },
+    ]);
+    expect(res.body.options[0]).toMatchObject({
+      optionId: '2',
+      yes: 2,
+      winner: true,
+    });
+    expect(res.body.options[1]).toMatchObject({ optionId: '1', winner: false });
+  });
+
+  test('should export options and members as CSV', async () => {
+    const sessionId = await createSession();
+    await swipe(sessionId, creatorId, '1', 'maybe');
+
+    const options = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/export`)
+      .set('Authorization', bearer(creatorId))
+      .query({ format: 'csv' });
+    expect(options.statusCode).toBe(200);
+    expect(options.headers['content-type']).toMatch(/^text\/csv/);
+    expect(options.headers['content-disposition']).toBe(
+      `attachment; filename="session-${sessionId}-options.csv"`
+    );
+    expect(options.text.split('\r\n')).toEqual([
+      'optionId,description,yes,no,maybe,superlike,veto,unswiped,support,score,vetoed,winner',
+      '1,"Pizza, thin",0,0,1,0,0,1,0.5,0.5,false,false',
+      "2,'=SUM(A1),0,0,0,0,0,2,0,0,false,false",
+      '',
+    ]);
+
+    const members = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/export`)
+      .set('Authorization', bearer(creatorId))
+      .query({ format: 'csv', table: 'members' });
+    expect(members.text).toBe(
+      `id,userName,role\r\n${creatorId},creator,creator\r\n` +
+        `${memberId},member,member\r\n`
+    );
+  });
+
+  test('should only let members export a session', async () => {
+    const sessionId = await createSession();
+    const res = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/export`)
+      .set('Authorization', bearer(outsiderId));
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('should quote CSV cells that need it', () => {
+    expect(toCsv([{ a: 'say "hi"', b: 'two\nlines' }], ['a', 'b'])).toBe(
+      'a,b\r\n"say ""hi""","two\nlines"\r\n'
+    );
+  });
+});
@@ -0,0 +1,84 @@
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Invite = require('../models/Invite');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const {
+  FIXTURE_PASSWORD,
+  createSession,
+  createUser,
+  createUsers,
+  seed,
+} = require('../fixtures');
+const { findProblems } = require('../scripts/repairReferences');
+
+describe('Fixtures', () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Session.deleteMany({}),
+      User.deleteMany({}),
+      Invite.deleteMany({}),
+    ]);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  test('should create users with unique emails and optional passwords', async () => {
+    const [first, second] = await createUsers(2, { userName: 'Sam' });
+    const withPassword = await createUser({ password: FIXTURE_PASSWORD });
+
+    expect(first.email).not.toEqual(second.email);
+    const stored = await User.findById(withPassword._id).select('+password');
+    expect(await bcrypt.compare(FIXTURE_PASSWORD, stored.password)).toBe(true);
+  });
+
+  test('should create a session with members, swipes and matching tallies', async () => {
+    const [creator, member] = await createUsers(2);
+    const { session, invite } = await createSession({
+      createdBy: creator,
+      members: [member],
+      options: ['Pizza', { description: 'Sushi', tags: ['japanese'] }],
+      swipe: (user, option) =>
+        option.description === 'Pizza' ? 'yes' : undefined,
+    });
+
+    expect(invite.session).toEqual(session._id);
+    expect(session.options.map((option) => option.description)).toEqual([
+      'Pizza',
+      'Sushi',
+    ]);
+    const stored = await Session.findById(session._id);
+    expect(stored.options[0].yesVotes).toBe(2);
+    expect(stored.options[1].yesVotes).toBe(0);
+    expect(stored.swipes).toHaveLength(2);
+    expect(await findProblems()).toEqual([]);
+  });
+
+  test('should seed consistent data in a mix of statuses', async () => {
+    const { users, sessions } = await seed({ users: 6, sessions: 4 });
+
+    expect(users).toHaveLength(6);
+    expect(sessions.map((session) => session.status)).toEqual([
+      'Pending',
+      'Active',
+      'Active',
+      'Completed',
+    ]);
+    const completed = await Session.findById(sessions[3]._id);
+    expect(completed.result).not.toBeNull();
+    expect(completed.hasEveryoneSwiped()).toBe(true);
+    expect(await Invite.countDocuments()).toBe(4);
+    expect(await findProblems()).toEqual([]);
+  });
+});
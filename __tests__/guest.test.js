@@ -0,0 +1,179 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+
+const { createApp } = require('../app');
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Guest participants', () => {
+  let mongoServer;
+  let creatorId;
+  let sessionId;
+  let optionId;
+  let inviteToken;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const creator = await User.create({
+      userName: 'creator',
+      email: 'creator@example.com',
+    });
+    creatorId = creator._id.toString();
+
+    const created = await request(app)
+      .post('/api/v1/sessions')
+      .set('Authorization', bearer(creatorId))
+      .send({ title: 'Film night' });
+    sessionId = created.body.session._id;
+
+    const option = await request(app)
+      .post(`/api/v1/sessions/${sessionId}/options`)
+      .set('Authorization', bearer(creatorId))
+      .send({ description: 'Alien' });
+    optionId = option.body.option.optionId;
+
+    const invite = await request(app)
+      .post(`/api/v1/sessions/${sessionId}/invites`)
+      .set('Authorization', bearer(creatorId))
+      .send({});
+    inviteToken = invite.body.invite.token;
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  const joinAsGuest = (displayName) =>
+    request(app)
+      .post(`/api/v1/invites/${inviteToken}/guests`)
+      .send({ displayName });
+
+  test('should let a guest join, swipe and count towards the result', async () => {
+    const joined = await joinAsGuest('Sam');
+    expect(joined.statusCode).toBe(201);
+    expect(joined.body.guest).toEqual(
+      expect.objectContaining({ userName: 'Sam', isGuest: true })
+    );
+    expect(joined.body.session.users).toContain(joined.body.guest.id);
+    const guestAuth = `Bearer ${joined.body.guestToken}`;
+
+    await request(app)
+      .post(`/api/v1/sessions/${sessionId}/start`)
+      .set('Authorization', bearer(creatorId));
+
+    const swiped = await request(app)
+      .put(`/api/v1/sessions/${sessionId}/swipes/${optionId}`)
+      .set('Authorization', guestAuth)
+      .send({ swipeAction: 'yes' });
+    expect(swiped.statusCode).toBe(200);
+
+    const result = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/result`)
+      .set('Authorization', guestAuth);
+    expect(result.statusCode).toBe(200);
+    expect(result.body.results[0]).toHaveProperty('yes', 1);
+  });
+
+  test('should keep guests out of account-only routes', async () => {
+    const joined = await joinAsGuest('Robin');
+    const guestAuth = `Bearer ${joined.body.guestToken}`;
+
+    const created = await request(app)
+      .post('/api/v1/sessions')
+      .set('Authorization', guestAuth)
+      .send({ title: 'Not allowed' });
+    expect(created.statusCode).toBe(403);
+    expect(created.body).toHaveProperty('code', 'FORBIDDEN');
+
+    const profile = await request(app)
+      .get('/api/v1/users/me')
+      .set('Authorization', guestAuth);
+    expect(profile.statusCode).toBe(403);
+  });
+
+  test('should upgrade a guest without losing membership or swipes', async () => {
+    const joined = await joinAsGuest('Alex');
+    const guestId = joined.body.guest.id;
+    const guestAuth = `Bearer ${joined.body.guestToken}`;
+
+    await request(app)
+      .put(`/api/v1/sessions/${sessionId}/swipes/${optionId}`)
+      .set('Authorization', guestAuth)
+      .send({ swipeAction: 'no' });
+
+    const upgraded = await request(app)
+      .post('/api/v1/users/me/upgrade')
+      .set('Authorization', guestAuth)
+      .send({ email: 'alex@example.com', password: 'hunter22' });
+    expect(upgraded.statusCode).toBe(200);
+    expect(upgraded.body.user).toEqual({
+      id: guestId,
+      userName: 'Alex',
+      email: 'alex@example.com',
+    });
+
+    const accountAuth = `Bearer ${upgraded.body.accessToken}`;
+    const session = await request(app)
+      .get(`/api/v1/sessions/${sessionId}`)
+      .set('Authorization', accountAuth);
+    expect(session.body.session.users).toContain(guestId);
+    const swipe = session.body.session.swipes.find(
+      ({ userId }) => userId === guestId
+    );
+    expect(swipe.optionSwipes).toEqual({ [optionId]: 'no' });
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'alex@example.com', password: 'hunter22' });
+    expect(login.statusCode).toBe(200);
+
+    const again = await request(app)
+      .post('/api/v1/users/me/upgrade')
+      .set('Authorization', accountAuth)
+      .send({ email: 'alex2@example.com', password: 'hunter22' });
+    expect(again.statusCode).toBe(409);
+  });
+
+  test('should keep guests out of other sessions', async () => {
+    const joined = await joinAsGuest('Kim');
+    const guestAuth = `Bearer ${joined.body.guestToken}`;
+    const other = await request(app)
+      .post('/api/v1/sessions')
+      .set('Authorization', bearer(creatorId))
+      .send({ title: 'Private dinner' });
+    const otherId = other.body.session._id;
+
+    const result = await request(app)
+      .get(`/api/v1/sessions/${otherId}/result`)
+      .set('Authorization', guestAuth);
+    expect(result.statusCode).toBe(403);
+
+    const options = await request(app)
+      .get('/session-options')
+      .set('Authorization', guestAuth)
+      .query({ sessionId: otherId });
+    expect(options.statusCode).toBe(403);
+  });
+
+  test("should not reserve a guest's display name", async () => {
+    await joinAsGuest('jordan');
+
+    const res = await request(app).post('/api/v1/users').send({
+      userName: 'jordan',
+      email: 'jordan@example.com',
+      password: 'hunter22',
+    });
+    expect(res.statusCode).toBe(201);
+  });
+});
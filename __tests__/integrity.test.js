@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Comment = require('../models/Comment');
+const Invite = require('../models/Invite');
+const Session = require('../models/Session');
+const SwipeEvent = require('../models/SwipeEvent');
+const User = require('../models/User');
+const { SessionService } = require('../services');
+const { supportsTransactions } = require('../services/transaction');
+const { findProblems, repairProblems } = require('../scripts/repairReferences');
+
+describe('Data integrity', () => {
+  let replSet;
+
+  beforeAll(async () => {
+    // Transactions need a replica set.
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+    await Promise.all([Session.init(), User.init(), Invite.init()]);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await Promise.all([
+      Session.deleteMany({}),
+      User.deleteMany({}),
+      Invite.deleteMany({}),
+    ]);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await replSet.stop();
+  });
+
+  test('should index sessions by member, creator and status', async () => {
+    const indexes = await Session.listIndexes();
+    const keys = indexes.map((index) => index.key);
+
+    expect(keys).toEqual(
+      expect.arrayContaining([
+        { users: 1 },
+        { createdBy: 1 },
+        { status: 1, swipeDeadline: 1 },
+      ])
+    );
+  });
+
+  test('should roll back a session whose creator could not be updated', async () => {
+    expect(await supportsTransactions(mongoose.connection)).toBe(true);
+    const user = await User.create({
+      userName: 'creator',
+      email: 'creator@example.com',
+    });
+    jest
+      .spyOn(Invite, 'create')
+      .mockRejectedValueOnce(new Error('Write failed'));
+
+    await expect(
+      new SessionService().create(user._id, { title: 'Dinner' })
+    ).rejects.toThrow('Write failed');
+
+    expect(await Session.countDocuments()).toBe(0);
+    const unchanged = await User.findById(user._id);
+    expect(unchanged.createdSessions).toHaveLength(0);
+  });
+
+  test('should find and repair drifted references', async () => {
+    const [creator, member, stranger] = await User.insertMany(
+      ['creator', 'member', 'stranger'].map((userName) => ({
+        userName,
+        email: `${userName}@example.com`,
+      }))
+    );
+    const deletedId = new mongoose.Types.ObjectId();
+    const missingSessionId = new mongoose.Types.ObjectId();
+
+    const session = await Session.create({
+      title: 'Drifted',
+      createdBy: creator._id,
+      users: [creator._id, member._id, deletedId],
+    });
+    const orphaned = await Session.create({
+      title: 'Orphaned',
+      createdBy: deletedId,
+      users: [deletedId],
+    });
+    await Invite.create({ session: orphaned._id });
+    await Invite.create({ session: missingSessionId });
+    // The creator's save failed, the member's joinedSessions is missing the
+    // session and the stranger still lists one they left.
+    await User.updateOne(
+      { _id: stranger._id },
+      { joinedSessions: [session._id] }
+    );
+
+    const problems = await findProblems();
+    expect(problems).toEqual(
+      expect.arrayContaining([
+        {
+          type: 'missing-member',
+          session: String(session._id),
+          user: String(deletedId),
+        },
+        {
+          type: 'missing-creator',
+          session: String(orphaned._id),
+          user: String(deletedId),
+        },
+        {
+          type: 'missing-created-session',
+          user: String(creator._id),
+          session: String(session._id),
+        },
+        {
+          type: 'missing-joined-session',
+          user: String(member._id),
+          session: String(session._id),
+        },
+        {
+          type: 'stale-joined-session',
+          user: String(stranger._id),
+          session: String(session._id),
+        },
+        expect.objectContaining({
+          type: 'orphaned-invite',
+          session: String(missingSessionId),
+        }),
+      ])
+    );
+
+    await repairProblems();
+
+    expect(await findProblems()).toEqual([]);
+    const repaired = await Session.findById(session._id);
+    expect(repaired.users.map(String)).toEqual([
+      String(creator._id),
+      String(member._id),
+    ]);
+    expect(await Session.exists({ _id: orphaned._id })).toBeNull();
+    expect(await Invite.countDocuments()).toBe(0);
+    expect((await User.findById(creator._id)).createdSessions).toHaveLength(1);
+    expect((await User.findById(member._id)).joinedSessions).toHaveLength(1);
+    expect((await User.findById(stranger._id)).joinedSessions).toHaveLength(0);
+  });
+
+  test('should hand a session whose creator is gone to the next member', async () => {
+    const member = await User.create({
+      userName: 'member',
+      email: 'member@example.com',
+    });
+    const deletedId = new mongoose.Types.ObjectId();
+    const guest = await User.create({ userName: 'guest', isGuest: true });
+    const session = await Session.create({
+      title: 'Handed over',
+      createdBy: deletedId,
+      users: [deletedId, guest._id, member._id],
+    });
+    await User.updateOne(
+      { _id: member._id },
+      { joinedSessions: [session._id] }
+    );
+
+    await repairProblems();
+
+    const repaired = await Session.findById(session._id);
+    expect(repaired.createdBy).toEqual(member._id);
+    const successor = await User.findById(member._id);
+    expect(successor.createdSessions.map(String)).toEqual([
+      String(session._id),
+    ]);
+    expect(successor.joinedSessions).toHaveLength(0);
+  });
+
+  test('should delete a session only guests are left in, with its log and comments', async () => {
+    const guest = await User.create({ userName: 'guest', isGuest: true });
+    const deletedId = new mongoose.Types.ObjectId();
+    const session = await Session.create({
+      title: 'Abandoned',
+      createdBy: deletedId,
+      users: [deletedId, guest._id],
+    });
+    await Invite.create({ session: session._id, createdBy: deletedId });
+    await SwipeEvent.create({
+      session: session._id,
+      userId: guest._id,
+      type: 'swipe',
+      optionId: '1',
+      action: 'yes',
+    });
+    await Comment.create({
+      session: session._id,
+      author: guest._id,
+      text: 'Anyone?',
+    });
+
+    await repairProblems();
+
+    expect(await Session.findById(session._id)).toBeNull();
+    const left = { session: session._id };
+    expect(await Invite.countDocuments(left)).toBe(0);
+    expect(await SwipeEvent.countDocuments(left)).toBe(0);
+    expect(await Comment.countDocuments(left)).toBe(0);
+  });
+
+  test('should skip sessions deleted since they were checked', async () => {
+    const deletedId = new mongoose.Types.ObjectId();
+    await Session.create({
+      title: 'Gone',
+      createdBy: deletedId,
+      users: [deletedId],
+    });
+    jest.spyOn(Session, 'findById').mockResolvedValueOnce(null);
+
+    await expect(repairProblems()).resolves.toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ type: 'missing-creator' }),
+      ])
+    );
+  });
+});
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Invite = require('../models/Invite');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const { createApp } = require('../app');
+
+const app = createApp({ config: { inviteBaseUrl: 'https://venn.example' } });
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+const tokenFrom = (link) => link.split('/join/')[1];
+
+describe('Invite Endpoints', () => {
+  let mongoServer;
+  let creatorId;
+  let guestIds;
+  let sessionId;
+  let defaultInviteLink;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const creator = await User.create({
+      userName: 'creator',
+      email: 'creator@example.com',
+    });
+    creatorId = creator._id.toString();
+
+    const guests = await User.insertMany(
+      [1, 2, 3, 4].map((n) => ({
+        userName: `guest${n}`,
+        email: `guest${n}@example.com`,
+      }))
+    );
+    guestIds = guests.map((guest) => guest._id.toString());
+
+    const res = await request(app)
+      .post('/create-session')
+      .set('Authorization', bearer(creatorId))
+      .send({ title: 'Test' });
+    sessionId = res.body.session._id;
+    defaultInviteLink = res.body.inviteLink;
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  test('should return a working invite link from the configured base URL', async () => {
+    expect(defaultInviteLink.startsWith('https://venn.example/join/')).toBe(
+      true
+    );
+
+    const res = await request(app)
+      .post('/join-by-invite')
+      .set('Authorization', bearer(guestIds[0]))
+      .send({ token: tokenFrom(defaultInviteLink) });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.session.users).toContain(guestIds[0]);
+  });
+
+  test('should stop accepting an invite once it reaches its maximum uses', async () => {
+    const created = await request(app)
+      .post('/create-invite')
+      .set('Authorization', bearer(creatorId))
+      .send({ sessionId, maxUses: 1 });
+    expect(created.statusCode).toBe(201);
+    const { token } = created.body.invite;
+
+    const first = await request(app)
+      .post('/join-by-invite')
+      .set('Authorization', bearer(guestIds[1]))
+      .send({ token });
+    expect(first.statusCode).toBe(200);
+
+    const second = await request(app)
+      .post('/join-by-invite')
+      .set('Authorization', bearer(guestIds[2]))
+      .send({ token });
+    expect(second.statusCode).toBe(410);
+    expect(second.body).toHaveProperty(
+      'error',
+      'Invite has reached its maximum number of uses'
+    );
+  });
+
+  test('should reject revoked invites', async () => {
+    const created = await request(app)
+      .post('/create-invite')
+      .set('Authorization', bearer(creatorId))
+      .send({ sessionId });
+    const { token } = created.body.invite;
+
+    const revoked = await request(app)
+      .post('/revoke-invite')
+      .set('Authorization', bearer(creatorId))
+      .send({ token });
+    expect(revoked.statusCode).toBe(200);
+
+    const res = await request(app)
+      .post('/join-by-invite')
+      .set('Authorization', bearer(guestIds[2]))
+      .send({ token });
+    expect(res.statusCode).toBe(410);
+    expect(res.body).toHaveProperty('error', 'Invite has been revoked');
+  });
+
+  test('should reject expired invites', async () => {
+    const invite = await Invite.create({
+      session: sessionId,
+      createdBy: creatorId,
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    const res = await request(app)
+      .post('/join-by-invite')
+      .set('Authorization', bearer(guestIds[3]))
+      .send({ token: invite.token });
+    expect(res.statusCode).toBe(410);
+    expect(res.body).toHaveProperty('error', 'Invite has expired');
+  });
+
+  test('should only let the creator create invites', async () => {
+    const res = await request(app)
+      .post('/create-invite')
+      .set('Authorization', bearer(guestIds[0]))
+      .send({ sessionId });
+    expect(res.statusCode).toBe(403);
+  });
+
+  test("should return 404 if the invite doesn't exist", async () => {
+    const res = await request(app)
+      .post('/join-by-invite')
+      .set('Authorization', bearer(guestIds[3]))
+      .send({ token: 'missing' });
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toHaveProperty('error', "Invite doesn't exist");
+  });
+});
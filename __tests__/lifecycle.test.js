@@ -0,0 +1,123 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const connectDB = require('../db');
+const { Logger } = require('../observability/logger');
+const { createShutdown } = require('../shutdown');
+
+const silent = new Logger({ level: 'silent' });
+
+describe('Startup and shutdown', () => {
+  test('should retry connecting with backoff until it succeeds', async () => {
+    const attempts = [];
+    const connect = jest.fn(async () => {
+      attempts.push(Date.now());
+      if (attempts.length < 3) {
+        throw new Error('connect ECONNREFUSED');
+      }
+    });
+
+    await connectDB('mongodb://db/venn', {
+      initialDelayMs: 20,
+      logger: silent,
+      connect,
+    });
+
+    expect(connect).toHaveBeenCalledTimes(3);
+    expect(connect).toHaveBeenCalledWith('mongodb://db/venn');
+    expect(attempts[1] - attempts[0]).toBeGreaterThanOrEqual(15);
+    expect(attempts[2] - attempts[1]).toBeGreaterThanOrEqual(35);
+  });
+
+  test('should give up after the last attempt', async () => {
+    const connect = jest.fn().mockRejectedValue(new Error('auth failed'));
+
+    await expect(
+      connectDB('mongodb://db/venn', {
+        attempts: 2,
+        initialDelayMs: 1,
+        logger: silent,
+        connect,
+      })
+    ).rejects.toThrow('auth failed');
+    expect(connect).toHaveBeenCalledTimes(2);
+  });
+
+  test('should let in-flight requests finish before closing the database', async () => {
+    const order = [];
+    let releaseRequest;
+    const app = express();
+    app.get('/slow', (req, res) => {
+      res.on('finish', () => order.push('response sent'));
+      releaseRequest = () => res.status(200).send('done');
+    });
+    const server = http.createServer(app).listen(0);
+    const db = {
+      close: jest.fn(async () => {
+        order.push('db closed');
+      }),
+    };
+    const scheduler = {
+      stop: jest.fn(async () => {
+        order.push('scheduler stopped');
+      }),
+    };
+    const shutdown = createShutdown({
+      app,
+      server,
+      scheduler,
+      db,
+      logger: silent,
+    });
+
+    const inFlight = request(server)
+      .get('/slow')
+      .then((res) => res.text);
+    await new Promise((resolve) => {
+      const waitForRequest = () =>
+        releaseRequest ? resolve() : setImmediate(waitForRequest);
+      waitForRequest();
+    });
+
+    const stopped = shutdown('SIGTERM');
+    expect(shutdown('SIGTERM')).toBe(stopped);
+    expect(app.locals.shuttingDown).toBe(true);
+    expect(db.close).not.toHaveBeenCalled();
+
+    releaseRequest();
+    expect(await inFlight).toBe('done');
+    await stopped;
+
+    expect(server.listening).toBe(false);
+    expect(order).toEqual(['scheduler stopped', 'response sent', 'db closed']);
+  });
+
+  test('should cut connections still open after the timeout', async () => {
+    const app = express();
+    app.get('/stream', (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(': connected\n\n');
+    });
+    const server = http.createServer(app).listen(0);
+    const db = { close: jest.fn(async () => {}) };
+    const shutdown = createShutdown({
+      app,
+      server,
+      db,
+      timeoutMs: 50,
+      logger: silent,
+    });
+
+    await new Promise((resolve) => {
+      http.get(`http://127.0.0.1:${server.address().port}/stream`, (res) => {
+        res.once('data', resolve);
+        res.on('error', () => {});
+      });
+    });
+
+    await shutdown('SIGTERM');
+
+    expect(server.listening).toBe(false);
+    expect(db.close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createApp } = require('../app');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+const { createSession, createUsers } = require('../fixtures');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Member management Endpoints', () => {
+  let mongoServer;
+  let creatorId;
+  let coHostId;
+  let leaverId;
+  let kickedId;
+  let sessionId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const [creator, ...members] = await createUsers(4);
+    [creatorId, coHostId, leaverId, kickedId] = [creator, ...members].map(
+      (user) => user._id.toString()
+    );
+
+    const { session } = await createSession({
+      title: 'Test',
+      createdBy: creator,
+      members,
+      options: [{ optionId: '1', description: 'cinema' }],
+      status: 'Pending',
+    });
+    sessionId = session._id.toString();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  test('should only let the creator promote co-hosts', async () => {
+    const denied = await request(app)
+      .put('/member-role')
+      .set('Authorization', bearer(leaverId))
+      .send({ sessionId, memberId: coHostId, role: 'co-host' });
+    expect(denied.statusCode).toBe(403);
+
+    const res = await request(app)
+      .put('/member-role')
+      .set('Authorization', bearer(creatorId))
+      .send({ sessionId, memberId: coHostId, role: 'co-host' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.coHosts).toContain(coHostId);
+  });
+
+  test('should let co-hosts manage options and start the session', async () => {
+    const added = await request(app)
+      .post('/add-option')
+      .set('Authorization', bearer(coHostId))
+      .send({ sessionId, description: 'restaurant' });
+    expect(added.statusCode).toBe(201);
+
+    const cancelled = await request(app)
+      .post('/cancel-session')
+      .set('Authorization', bearer(coHostId))
+      .send({ sessionId });
+    expect(cancelled.statusCode).toBe(403);
+
+    const started = await request(app)
+      .post('/start-session')
+      .set('Authorization', bearer(coHostId))
+      .send({ sessionId });
+    expect(started.statusCode).toBe(200);
+  });
+
+  test('should remove swipes when a member leaves', async () => {
+    await request(app)
+      .post('/swipe-option')
+      .set('Authorization', bearer(leaverId))
+      .send({ sessionId, optionId: '1', swipeAction: 'yes' });
+
+    const res = await request(app)
+      .post('/leave-session')
+      .set('Authorization', bearer(leaverId))
+      .send({ sessionId });
+    expect(res.statusCode).toBe(200);
+
+    const session = await Session.findById(sessionId);
+    expect(session.users.map(String)).not.toContain(leaverId);
+    expect(session.swipes.some((swipe) => swipe.userId.equals(leaverId))).toBe(
+      false
+    );
+    expect(session.options[0].yesVotes).toBe(0);
+
+    const leaver = await User.findById(leaverId);
+    expect(leaver.joinedSessions).toHaveLength(0);
+  });
+
+  test('should not let the creator leave', async () => {
+    const res = await request(app)
+      .post('/leave-session')
+      .set('Authorization', bearer(creatorId))
+      .send({ sessionId });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('should only let the creator kick members', async () => {
+    const denied = await request(app)
+      .post('/kick-member')
+      .set('Authorization', bearer(coHostId))
+      .send({ sessionId, memberId: kickedId });
+    expect(denied.statusCode).toBe(403);
+
+    const res = await request(app)
+      .post('/kick-member')
+      .set('Authorization', bearer(creatorId))
+      .send({ sessionId, memberId: kickedId });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.session.users).not.toContain(kickedId);
+  });
+
+  test('should count unanimity against the remaining members', async () => {
+    for (const userId of [creatorId, coHostId]) {
+      await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(userId))
+        .send({ sessionId, optionId: '1', swipeAction: 'yes' });
+    }
+
+    const res = await request(app)
+      .get('/session-result')
+      .set('Authorization', bearer(creatorId))
+      .query({ sessionId });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.winners).toContain('1');
+  });
+});
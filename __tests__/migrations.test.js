@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Migration = require('../models/Migration');
+const { Logger } = require('../observability/logger');
+const { loadMigrations, migrate, migrationStatus } = require('../migrations');
+
+const silent = new Logger({ level: 'silent' });
+
+describe('Migrations', () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  test('should apply pending migrations in order and record them', async () => {
+    const ran = [];
+    const migrations = [1, 2, 3].map((version) => ({
+      version,
+      name: `step-${version}`,
+      up: async () => {
+        ran.push(version);
+      },
+    }));
+
+    const applied = await migrate({ migrations, to: 2, logger: silent });
+    expect(applied.map(({ version }) => version)).toEqual([1, 2]);
+
+    await migrate({ migrations, logger: silent });
+    expect(ran).toEqual([1, 2, 3]);
+
+    const status = await migrationStatus({ migrations });
+    expect(status.every(({ appliedAt }) => appliedAt instanceof Date)).toBe(
+      true
+    );
+    expect(await migrate({ migrations, logger: silent })).toEqual([]);
+  });
+
+  test('should stop at a failed migration and leave it pending', async () => {
+    const later = jest.fn();
+    const migrations = [
+      {
+        version: 1,
+        name: 'broken',
+        up: jest.fn().mockRejectedValue(new Error('Boom')),
+      },
+      { version: 2, name: 'later', up: later },
+    ];
+
+    await expect(migrate({ migrations, logger: silent })).rejects.toThrow(
+      'Boom'
+    );
+
+    expect(later).not.toHaveBeenCalled();
+    expect(await Migration.countDocuments()).toBe(0);
+  });
+
+  test('should refuse to run while another migration is being applied', async () => {
+    await Migration.create({ version: 1, name: 'slow', startedAt: new Date() });
+
+    await expect(
+      migrate({
+        migrations: [{ version: 1, name: 'slow', up: jest.fn() }],
+        logger: silent,
+      })
+    ).rejects.toThrow('Migration 1-slow is being applied');
+  });
+
+  test('should backfill users and sessions stored before later features', async () => {
+    const { db } = mongoose.connection;
+    const userId = new mongoose.Types.ObjectId();
+    await db.collection('users').insertOne({
+      _id: userId,
+      userName: 'early',
+      email: 'early@example.com',
+    });
+    await db.collection('sessions').insertOne({
+      title: 'Early',
+      users: [userId],
+      options: [{ optionId: '1', description: 'Pizza' }],
+      swipes: [{ userId, optionSwipes: { 1: 'superlike' } }],
+    });
+
+    const applied = await migrate({
+      migrations: loadMigrations(),
+      logger: silent,
+    });
+
+    expect(applied.map(({ version }) => version)).toEqual([1, 2, 3]);
+    const user = await db.collection('users').findOne({ _id: userId });
+    expect(user).toMatchObject({
+      password: null,
+      isGuest: false,
+      failedLogins: 0,
+      lockedUntil: null,
+    });
+    const session = await db.collection('sessions').findOne({ title: 'Early' });
+    expect(session.allowances).toEqual({ superlike: 1, veto: 1 });
+    expect(session.swipes[0].spent).toEqual({ superlike: 1, veto: 0 });
+  });
+
+  test('should rebuild a non-sparse email index so guests can share no email', async () => {
+    const users = mongoose.connection.db.collection('users');
+    await users.createIndex({ email: 1 }, { name: 'email_1', unique: true });
+    await users.insertOne({ userName: 'First guest', isGuest: true });
+
+    await migrate({ migrations: loadMigrations(), logger: silent });
+
+    const index = (await users.indexes()).find(
+      ({ name }) => name === 'email_1'
+    );
+    expect(index).toMatchObject({ unique: true, sparse: true });
+    await expect(
+      users.insertOne({ userName: 'Second guest', isGuest: true })
+    ).resolves.toBeDefined();
+  });
+});
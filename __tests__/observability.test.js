@@ -0,0 +1,144 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+const { Logger } = require('../observability/logger');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const { createApp } = require('../app');
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Observability', () => {
+  let mongoServer;
+  let logLines;
+  let app;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  beforeEach(() => {
+    logLines = [];
+    const logger = new Logger({
+      write: (line) => logLines.push(JSON.parse(line)),
+    });
+    app = createApp({ logger });
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  test('should give every request an ID and log it with the access line', async () => {
+    const res = await request(app).get('/healthz');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ status: 'ok' });
+    const requestId = res.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(logLines).toEqual([
+      expect.objectContaining({
+        level: 'info',
+        msg: 'Request completed',
+        requestId,
+        method: 'GET',
+        path: '/healthz',
+        status: 200,
+      }),
+    ]);
+  });
+
+  test('should reuse a request ID sent by the client', async () => {
+    const res = await request(app)
+      .get('/healthz')
+      .set('X-Request-Id', 'edge-42');
+    expect(res.headers).toHaveProperty('x-request-id', 'edge-42');
+
+    const invalid = await request(app)
+      .get('/healthz')
+      .set('X-Request-Id', 'not a valid id');
+    expect(invalid.headers['x-request-id']).not.toBe('not a valid id');
+  });
+
+  test('should keep query strings out of the access log', async () => {
+    await request(app).get('/api/v1/sessions/abc/events?token=secret');
+
+    expect(logLines[0]).toHaveProperty('path', '/api/v1/sessions/abc/events');
+    expect(JSON.stringify(logLines)).not.toContain('secret');
+  });
+
+  test('should report readiness from the database connection', async () => {
+    const ready = await request(app).get('/readyz');
+    expect(ready.statusCode).toBe(200);
+    expect(ready.body).toEqual({ status: 'ready', database: 'connected' });
+
+    const disconnected = createApp({ readinessDb: { readyState: 0 } });
+    const notReady = await request(disconnected).get('/readyz');
+    expect(notReady.statusCode).toBe(503);
+    expect(notReady.body).toEqual({
+      status: 'unavailable',
+      database: 'disconnected',
+    });
+  });
+
+  test('should expose latency and session metrics for Prometheus', async () => {
+    const creator = await User.create({
+      userName: 'metrics',
+      email: 'metrics@example.com',
+    });
+    const auth = bearer(creator._id);
+
+    const created = await request(app)
+      .post('/api/v1/sessions')
+      .set('Authorization', auth)
+      .send({ title: 'Lunch' });
+    const id = created.body.session._id;
+    const option = await request(app)
+      .post(`/api/v1/sessions/${id}/options`)
+      .set('Authorization', auth)
+      .send({ description: 'Tacos' });
+    await request(app)
+      .post(`/api/v1/sessions/${id}/start`)
+      .set('Authorization', auth);
+    await request(app)
+      .put(`/api/v1/sessions/${id}/swipes/${option.body.option.optionId}`)
+      .set('Authorization', auth)
+      .send({ swipeAction: 'yes' });
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toContain('venn_sessions_created_total 1');
+    expect(res.text).toContain('venn_sessions_completed_total 1');
+    expect(res.text).toContain('venn_swipes_recorded_total{action="yes"} 1');
+    expect(res.text).toMatch(
+      /http_request_duration_seconds_count\{method="PUT",route="\/api\/v1\/sessions\/:id\/swipes\/:optionId",status="200"\} 1/
+    );
+  });
+
+  test('should log server errors with the request ID', async () => {
+    jest
+      .spyOn(app.locals.services.sessionService, 'get')
+      .mockRejectedValue(new Error('Kaboom'));
+
+    const res = await request(app)
+      .get(`/api/v1/sessions/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', bearer(new mongoose.Types.ObjectId()));
+
+    expect(res.statusCode).toBe(500);
+    const errorLine = logLines.find((line) => line.level === 'error');
+    expect(errorLine).toEqual(
+      expect.objectContaining({
+        msg: 'Request failed',
+        requestId: res.headers['x-request-id'],
+        err: expect.objectContaining({ message: 'Kaboom' }),
+      })
+    );
+  });
+});
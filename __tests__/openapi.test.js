@@ -0,0 +1,274 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Ajv = require('ajv/dist/2020').default;
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+
+const { createApp } = require('../app');
+
+const app = createApp();
+const { createV1Router, routes } = require('../routes/v1');
+const { toOpenApiPath } = require('../openapi');
+const { signAccessToken } = require('../middleware/auth');
+
+describe('OpenAPI contract', () => {
+  let mongoServer;
+  let spec;
+  let ajv;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const res = await request(app).get('/api/v1/openapi.json');
+    spec = res.body;
+    ajv = new Ajv({ strict: false, validateFormats: false });
+    ajv.addSchema(spec, 'openapi.json');
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  // Calls an /api/v1 operation by its documented path and checks that the
+  // response status and body are ones the document allows.
+  const call = async (
+    method,
+    path,
+    { params = {}, token, body, query } = {}
+  ) => {
+    const url = path.replace(/{(\w+)}/g, (_, name) =>
+      encodeURIComponent(params[name])
+    );
+    let req = request(app)[method](`/api/v1${url}`);
+    if (token) req = req.set('Authorization', `Bearer ${token}`);
+    if (query) req = req.query(query);
+    const res = await req.send(body);
+
+    const operation = spec.paths[`/api/v1${path}`][method];
+    const response =
+      operation.responses[res.statusCode] || operation.responses.default;
+    const { schema } = response.content['application/json'];
+    const validateBody = ajv.compile({ $ref: `openapi.json${schema.$ref}` });
+    if (!validateBody(res.body)) {
+      throw new Error(
+        `${method.toUpperCase()} ${path} returned ${res.statusCode} with a ` +
+          `body that doesn't match the spec: ${ajv.errorsText(
+            validateBody.errors
+          )}`
+      );
+    }
+    return res;
+  };
+
+  const succeed = async (...args) => {
+    const res = await call(...args);
+    expect(res.statusCode).toBeLessThan(300);
+    return res;
+  };
+
+  test('should serve an OpenAPI 3.1 document', () => {
+    expect(spec.openapi).toBe('3.1.0');
+    expect(spec.paths['/api/v1/sessions'].post).toHaveProperty(
+      'operationId',
+      'createSession'
+    );
+    expect(spec.paths['/swipe-option'].post).toHaveProperty('deprecated', true);
+  });
+
+  test('should document every /api/v1 route', () => {
+    const v1Router = createV1Router(app.locals.services);
+    const served = v1Router.stack
+      .flatMap((routerLayer) => routerLayer.handle.stack)
+      .flatMap((layer) =>
+        Object.keys(layer.route.methods).map((method) => [
+          method,
+          `/api/v1${toOpenApiPath(layer.route.path)}`,
+        ])
+      );
+    expect(served).toHaveLength(routes.length);
+    served.forEach(([method, path]) => {
+      expect(spec.paths[path]).toHaveProperty(method);
+    });
+  });
+
+  test('should match the spec across a whole session', async () => {
+    const signUp = async (userName) => {
+      await succeed('post', '/users', {
+        body: {
+          userName,
+          email: `${userName}@example.com`,
+          password: 'hunter22',
+        },
+      });
+      const res = await succeed('post', '/auth/login', {
+        body: { email: `${userName}@example.com`, password: 'hunter22' },
+      });
+      return { token: res.body.accessToken, id: res.body.user.id, res };
+    };
+
+    const host = await signUp('host');
+    const guest = await signUp('guest');
+    const other = await signUp('other');
+
+    const refreshed = await succeed('post', '/auth/refresh', {
+      body: { refreshToken: host.res.body.refreshToken },
+    });
+    expect(refreshed.statusCode).toBe(200);
+
+    const created = await succeed('post', '/sessions', {
+      token: host.token,
+      body: { title: 'Dinner', decisionRule: 'majority' },
+    });
+    expect(created.statusCode).toBe(201);
+    const id = created.body.session._id;
+
+    const fetched = await succeed('get', '/sessions/{id}', {
+      token: host.token,
+      params: { id },
+    });
+    expect(fetched.body.session.title).toBe('Dinner');
+
+    const first = await succeed('post', '/sessions/{id}/options', {
+      token: host.token,
+      params: { id },
+      body: { description: 'Pizza' },
+    });
+    const second = await succeed('post', '/sessions/{id}/options', {
+      token: host.token,
+      params: { id },
+      body: { description: 'Sushi' },
+    });
+    const optionIds = [second.body.option.optionId, first.body.option.optionId];
+
+    await succeed('put', '/sessions/{id}/options/{optionId}', {
+      token: host.token,
+      params: { id, optionId: optionIds[1] },
+      body: { description: 'Pizza place' },
+    });
+    await succeed('put', '/sessions/{id}/options/order', {
+      token: host.token,
+      params: { id },
+      body: { optionIds },
+    });
+    await succeed('put', '/sessions/{id}/decision-rule', {
+      token: host.token,
+      params: { id },
+      body: { decisionRule: 'quorum', quorum: 0.5 },
+    });
+
+    const invite = await succeed('post', '/sessions/{id}/invites', {
+      token: host.token,
+      params: { id },
+      body: { maxUses: 2 },
+    });
+    await succeed('get', '/sessions/{id}/invites', {
+      token: host.token,
+      params: { id },
+    });
+    const accepted = await succeed('post', '/invites/{token}/accept', {
+      token: guest.token,
+      params: { token: invite.body.invite.token },
+    });
+    expect(accepted.statusCode).toBe(200);
+    await succeed('delete', '/invites/{token}', {
+      token: host.token,
+      params: { token: invite.body.invite.token },
+    });
+
+    const joined = await succeed('post', '/sessions/{id}/members', {
+      token: other.token,
+      params: { id },
+    });
+    expect(joined.statusCode).toBe(200);
+    await succeed('put', '/sessions/{id}/members/{memberId}/role', {
+      token: host.token,
+      params: { id, memberId: guest.id },
+      body: { role: 'co-host' },
+    });
+    await succeed('delete', '/sessions/{id}/members/me', {
+      token: other.token,
+      params: { id },
+    });
+
+    await succeed('post', '/sessions/{id}/start', {
+      token: guest.token,
+      params: { id },
+    });
+    await succeed('get', '/sessions/{id}/options', {
+      token: guest.token,
+      params: { id },
+    });
+    const swiped = await succeed('put', '/sessions/{id}/swipes/{optionId}', {
+      token: guest.token,
+      params: { id, optionId: optionIds[0] },
+      body: { swipeAction: 'yes' },
+    });
+    expect(swiped.statusCode).toBe(200);
+
+    const result = await succeed('get', '/sessions/{id}/result', {
+      token: host.token,
+      params: { id },
+    });
+    expect(result.body.winners).toEqual([optionIds[0]]);
+
+    await succeed('delete', '/sessions/{id}/members/{memberId}', {
+      token: host.token,
+      params: { id, memberId: guest.id },
+    });
+    await succeed('post', '/sessions/{id}/complete', {
+      token: host.token,
+      params: { id },
+    });
+
+    const mine = await succeed('get', '/users/me/sessions', {
+      token: host.token,
+      query: { status: 'Completed' },
+    });
+    expect(mine.body.total).toBe(1);
+
+    await succeed('get', '/users/me', { token: host.token });
+    await succeed('put', '/users/me', {
+      token: host.token,
+      body: { userName: 'organiser' },
+    });
+    await succeed('delete', '/users/me', { token: other.token, body: {} });
+  });
+
+  test('should match the spec for error responses', async () => {
+    const token = signAccessToken(new mongoose.Types.ObjectId());
+
+    const unauthenticated = await call('post', '/sessions', {
+      body: { title: 'Nope' },
+    });
+    expect(unauthenticated.statusCode).toBe(401);
+
+    const invalid = await call('put', '/sessions/{id}/swipes/{optionId}', {
+      token,
+      params: { id: 'not-an-id', optionId: '1' },
+      body: { swipeAction: 'perhaps' },
+    });
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.details).toHaveLength(2);
+
+    const missing = await call('get', '/sessions/{id}', {
+      token,
+      params: { id: new mongoose.Types.ObjectId().toString() },
+    });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('should mark legacy routes as deprecated aliases', async () => {
+    const res = await request(app)
+      .post('/join-session')
+      .send({ sessionId: 'abc' });
+
+    expect(res.headers).toHaveProperty('deprecation', 'true');
+    expect(res.headers.link).toBe(
+      '</api/v1/sessions/abc/members>; rel="successor-version"'
+    );
+  });
+});
@@ -0,0 +1,268 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createApp } = require('../app');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Option Endpoints', () => {
+  let mongoServer;
+  let creatorId;
+  let memberId;
+  let pendingSessionId;
+  let activeSessionId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const creator = new User({
+      userName: 'creator',
+      email: 'creator@example.com',
+    });
+    await creator.save();
+    creatorId = creator._id.toString();
+
+    const member = new User({
+      userName: 'member',
+      email: 'member@example.com',
+    });
+    await member.save();
+    memberId = member._id.toString();
+
+    const pendingSession = new Session({
+      title: 'Test',
+      createdBy: creatorId,
+      users: [creatorId, memberId],
+    });
+    await pendingSession.save();
+    pendingSessionId = pendingSession._id.toString();
+
+    const activeSession = new Session({
+      title: 'Test',
+      createdBy: creatorId,
+      users: [creatorId],
+      status: 'Active',
+      options: [
+        { optionId: '1', description: 'cinema', yesVotes: 0, noVotes: 0 },
+      ],
+    });
+    await activeSession.save();
+    activeSessionId = activeSession._id.toString();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  test('should let the creator add, update, reorder and delete options', async () => {
+    const first = await request(app)
+      .post('/add-option')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: pendingSessionId,
+        description: 'cinema',
+      });
+    expect(first.statusCode).toBe(201);
+    expect(first.body).toHaveProperty('message', 'Option added successfully');
+    expect(first.body.option).toHaveProperty('description', 'cinema');
+
+    const second = await request(app)
+      .post('/add-option')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: pendingSessionId,
+        description: 'restaurant',
+      });
+    const firstId = first.body.option.optionId;
+    const secondId = second.body.option.optionId;
+
+    const updated = await request(app)
+      .put('/update-option')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: pendingSessionId,
+        optionId: firstId,
+        description: 'bowling',
+      });
+    expect(updated.statusCode).toBe(200);
+    expect(updated.body.option).toHaveProperty('description', 'bowling');
+
+    const reordered = await request(app)
+      .put('/reorder-options')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: pendingSessionId,
+        optionIds: [secondId, firstId],
+      });
+    expect(reordered.statusCode).toBe(200);
+    expect(reordered.body.options.map((option) => option.optionId)).toEqual([
+      secondId,
+      firstId,
+    ]);
+
+    const deleted = await request(app)
+      .delete('/delete-option')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: pendingSessionId,
+        optionId: secondId,
+      });
+    expect(deleted.statusCode).toBe(200);
+
+    const listed = await request(app)
+      .get('/session-options')
+      .set('Authorization', bearer(creatorId))
+      .query({ sessionId: pendingSessionId });
+    expect(listed.statusCode).toBe(200);
+    expect(listed.body.options).toHaveLength(1);
+    expect(listed.body.options[0]).toHaveProperty('optionId', firstId);
+  });
+
+  test('should return 403 if a non-creator tries to add an option', async () => {
+    const res = await request(app)
+      .post('/add-option')
+      .set('Authorization', bearer(memberId))
+      .send({
+        sessionId: pendingSessionId,
+        description: 'cinema',
+      });
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toHaveProperty(
+      'error',
+      'Only the session creator or a co-host can manage options'
+    );
+  });
+
+  test('should return 400 if the session is no longer pending', async () => {
+    const res = await request(app)
+      .put('/update-option')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: activeSessionId,
+        optionId: '1',
+        description: 'restaurant',
+      });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toHaveProperty(
+      'error',
+      'Options can only be changed while the session is pending'
+    );
+  });
+
+  test('should let options be added to an active session', async () => {
+    const res = await request(app)
+      .post('/add-option')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: activeSessionId,
+        description: 'restaurant',
+      });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.options).toHaveLength(2);
+  });
+
+  test('should return 400 if reordered IDs do not match the session options', async () => {
+    const res = await request(app)
+      .put('/reorder-options')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: pendingSessionId,
+        optionIds: ['unknown'],
+      });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test("should return 404 if the option to update doesn't exist", async () => {
+    const res = await request(app)
+      .put('/update-option')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: pendingSessionId,
+        optionId: 'unknown',
+        description: 'bowling',
+      });
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toHaveProperty('error', 'Option is not in session');
+  });
+
+  test('should reject swipes on options that are not in the session', async () => {
+    const res = await request(app)
+      .post('/swipe-option')
+      .set('Authorization', bearer(creatorId))
+      .send({
+        sessionId: activeSessionId,
+        optionId: 'unknown',
+        swipeAction: 'yes',
+      });
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toHaveProperty('error', 'Option is not in session');
+  });
+
+  test('should queue unswiped options in a stable per-member order', async () => {
+    const session = await Session.create({
+      title: 'Queue',
+      createdBy: creatorId,
+      users: [creatorId, memberId],
+      status: 'Active',
+      options: ['1', '2', '3', '4', '5', '6', '7', '8'].map((optionId) => ({
+        optionId,
+        description: `option ${optionId}`,
+        yesVotes: 0,
+        noVotes: 0,
+      })),
+    });
+    const next = (userId, limit) =>
+      request(app)
+        .get(`/api/v1/sessions/${session._id}/next-options`)
+        .set('Authorization', bearer(userId))
+        .query({ limit });
+    const idsOf = (res) => res.body.options.map((option) => option.optionId);
+
+    const first = await next(memberId, 8);
+    expect(first.statusCode).toBe(200);
+    expect([...idsOf(first)].sort()).toEqual([
+      '1',
+      '2',
+      '3',
+      '4',
+      '5',
+      '6',
+      '7',
+      '8',
+    ]);
+    expect(idsOf(await next(memberId, 8))).toEqual(idsOf(first));
+    expect(idsOf(await next(creatorId, 8))).not.toEqual(idsOf(first));
+
+    const [swipedId] = idsOf(first);
+    await request(app)
+      .post('/swipe-option')
+      .set('Authorization', bearer(memberId))
+      .send({ sessionId: session._id, optionId: swipedId, swipeAction: 'no' });
+
+    const batch = await next(memberId, 2);
+    expect(idsOf(batch)).toEqual(idsOf(first).slice(1, 3));
+    expect(batch.body.progress).toEqual({ swiped: 1, remaining: 7, total: 8 });
+
+    const added = await request(app)
+      .post(`/api/v1/sessions/${session._id}/options`)
+      .set('Authorization', bearer(creatorId))
+      .send({ description: 'late addition' });
+    const addedId = added.body.option.optionId;
+
+    const all = await next(memberId, 10);
+    expect(idsOf(all)).toContain(addedId);
+    expect(idsOf(all).filter((optionId) => optionId !== addedId)).toEqual(
+      idsOf(first).slice(1)
+    );
+    expect(all.body.progress).toEqual({ swiped: 1, remaining: 8, total: 9 });
+  });
+});
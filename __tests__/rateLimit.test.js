@@ -0,0 +1,168 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+const { MemoryStore } = require('../middleware/rateLimit');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+
+const { createApp } = require('../app');
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Abuse protection', () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  test('should limit requests per IP and say when to retry', async () => {
+    const app = createApp({
+      config: { rateLimits: { ip: { windowMs: 60 * 1000, max: 2 } } },
+    });
+
+    const first = await request(app).get('/api/v1/openapi.json');
+    expect(first.headers).toHaveProperty('ratelimit-limit', '2');
+    expect(first.headers).toHaveProperty('ratelimit-remaining', '1');
+    await request(app).get('/api/v1/openapi.json');
+
+    const limited = await request(app).get('/api/v1/openapi.json');
+    expect(limited.statusCode).toBe(429);
+    expect(limited.body).toHaveProperty('code', 'RATE_LIMITED');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(limited.headers['retry-after'])).toBeLessThanOrEqual(60);
+  });
+
+  test('should limit requests per user independently of the IP', async () => {
+    const app = createApp({
+      config: { rateLimits: { user: { windowMs: 60 * 1000, max: 1 } } },
+    });
+    const [first, second] = [1, 2].map(() =>
+      new mongoose.Types.ObjectId().toString()
+    );
+
+    const allowed = await request(app)
+      .get('/api/v1/users/me')
+      .set('Authorization', bearer(first));
+    expect(allowed.statusCode).not.toBe(429);
+
+    const limited = await request(app)
+      .get('/api/v1/users/me')
+      .set('Authorization', bearer(first));
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers).toHaveProperty('retry-after');
+
+    const otherUser = await request(app)
+      .get('/api/v1/users/me')
+      .set('Authorization', bearer(second));
+    expect(otherUser.statusCode).not.toBe(429);
+  });
+
+  test('should apply the stricter sign-up limit to legacy aliases too', async () => {
+    const app = createApp({
+      config: { rateLimits: { signup: { windowMs: 60 * 1000, max: 1 } } },
+    });
+
+    const allowed = await request(app).post('/api/v1/users').send({});
+    expect(allowed.statusCode).toBe(400);
+
+    const limited = await request(app).post('/create-user').send({});
+    expect(limited.statusCode).toBe(429);
+  });
+
+  test('should share counts through the configured store', async () => {
+    const store = new MemoryStore();
+    const config = { rateLimits: { store, ip: { max: 1 } } };
+
+    await request(createApp({ config })).get('/api/v1/openapi.json');
+    const limited = await request(createApp({ config })).get(
+      '/api/v1/openapi.json'
+    );
+    expect(limited.statusCode).toBe(429);
+  });
+
+  test('should lock an account after repeated failed logins', async () => {
+    const app = createApp({
+      config: { loginLockout: { maxAttempts: 3, durationMs: 60 * 1000 } },
+    });
+    await request(app).post('/api/v1/users').send({
+      userName: 'locked',
+      email: 'locked@example.com',
+      password: 'hunter22',
+    });
+    const login = (password) =>
+      request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'locked@example.com', password });
+
+    expect((await login('wrong')).statusCode).toBe(401);
+    expect((await login('wrong')).statusCode).toBe(401);
+
+    const locking = await login('wrong');
+    expect(locking.statusCode).toBe(429);
+    expect(locking.headers).toHaveProperty('retry-after', '60');
+
+    const correct = await login('hunter22');
+    expect(correct.statusCode).toBe(429);
+    expect(correct.body).toHaveProperty(
+      'error',
+      'Too many failed login attempts, please try again later'
+    );
+  });
+
+  test('should reset the failed login count after a successful login', async () => {
+    const app = createApp({
+      config: { loginLockout: { maxAttempts: 2, durationMs: 60 * 1000 } },
+    });
+    await request(app).post('/api/v1/users').send({
+      userName: 'forgetful',
+      email: 'forgetful@example.com',
+      password: 'hunter22',
+    });
+    const login = (password) =>
+      request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'forgetful@example.com', password });
+
+    expect((await login('wrong')).statusCode).toBe(401);
+    expect((await login('hunter22')).statusCode).toBe(200);
+    expect((await login('wrong')).statusCode).toBe(401);
+  });
+
+  test('should only allow CORS requests from allowlisted origins', async () => {
+    const app = createApp({
+      config: { corsOrigins: ['https://venn.example'] },
+    });
+
+    const allowed = await request(app)
+      .get('/api/v1/openapi.json')
+      .set('Origin', 'https://venn.example');
+    expect(allowed.headers).toHaveProperty(
+      'access-control-allow-origin',
+      'https://venn.example'
+    );
+
+    const denied = await request(app)
+      .get('/api/v1/openapi.json')
+      .set('Origin', 'https://evil.example');
+    expect(denied.headers).not.toHaveProperty('access-control-allow-origin');
+  });
+
+  test('should reject request bodies over the size limit', async () => {
+    const app = createApp({ config: { bodyLimit: '1kb' } });
+
+    const res = await request(app)
+      .post('/api/v1/users')
+      .send({ userName: 'x'.repeat(2048) });
+    expect(res.statusCode).toBe(413);
+    expect(res.body).toHaveProperty('code', 'PAYLOAD_TOO_LARGE');
+  });
+});
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { SessionScheduler, SessionService } = require('../services');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const INTERVAL = 15 * MINUTE;
+
+describe('SessionScheduler', () => {
+  let mongoServer;
+  let creatorId;
+  let memberId;
+  let published;
+  let scheduler;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const [creator, member] = await User.insertMany([
+      { userName: 'creator', email: 'creator@example.com' },
+      { userName: 'member', email: 'member@example.com' },
+    ]);
+    creatorId = creator._id.toString();
+    memberId = member._id.toString();
+  });
+
+  beforeEach(() => {
+    // Only the clock and intervals are faked; the database driver keeps its
+    // real timers.
+    jest.useFakeTimers({
+      now: new Date('2026-03-06T18:00:00Z'),
+      doNotFake: [
+        'nextTick',
+        'setImmediate',
+        'clearImmediate',
+        'setTimeout',
+        'clearTimeout',
+        'queueMicrotask',
+        'hrtime',
+        'performance',
+      ],
+    });
+
+    published = [];
+    const sessionService = new SessionService({
+      events: {
+        publish: (sessionId, type, data) =>
+          published.push({ sessionId: String(sessionId), type, data }),
+        subscribe: () => () => {},
+      },
+    });
+    scheduler = new SessionScheduler({
+      sessionService,
+      intervalMs: INTERVAL,
+      pendingTtlMs: 2 * HOUR,
+    });
+    scheduler.start();
+  });
+
+  afterEach(async () => {
+    await scheduler.stop();
+    jest.useRealTimers();
+    await Session.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  // Moves the fake clock forward one scheduler interval at a time, letting
+  // each pass finish before the next.
+  const advance = async (ms) => {
+    for (let elapsed = 0; elapsed < ms; elapsed += INTERVAL) {
+      jest.advanceTimersByTime(INTERVAL);
+      await scheduler.running;
+    }
+  };
+
+  const options = [
+    { optionId: '1', description: 'cinema', yesVotes: 0, noVotes: 0 },
+    { optionId: '2', description: 'bowling', yesVotes: 0, noVotes: 0 },
+  ];
+
+  test('should start sessions at their auto-start time', async () => {
+    const session = await Session.create({
+      title: 'Friday',
+      createdBy: creatorId,
+      users: [creatorId],
+      options,
+      autoStartAt: new Date(Date.now() + 20 * MINUTE),
+    });
+
+    await advance(INTERVAL);
+    expect((await Session.findById(session._id)).status).toBe('Pending');
+
+    await advance(INTERVAL);
+    expect((await Session.findById(session._id)).status).toBe('Active');
+    expect(published).toEqual([
+      {
+        sessionId: String(session._id),
+        type: 'status-changed',
+        data: { status: 'Active' },
+      },
+    ]);
+  });
+
+  test('should complete sessions past their deadline and freeze the result', async () => {
+    const session = await Session.create({
+      title: 'Dinner',
+      createdBy: creatorId,
+      users: [creatorId, memberId],
+      status: 'Active',
+      decisionRule: 'approval',
+      options,
+      swipes: [
+        { userId: creatorId, optionSwipes: new Map([['2', 'yes']]) },
+        { userId: memberId, optionSwipes: new Map([['2', 'yes']]) },
+      ],
+      swipeDeadline: new Date(Date.now() + 40 * MINUTE),
+    });
+
+    await advance(45 * MINUTE);
+
+    const completed = await Session.findById(session._id);
+    expect(completed.status).toBe('Completed');
+    expect(completed.result).toMatchObject({
+      rule: 'approval',
+      winners: ['2'],
+      decidedAt: new Date('2026-03-06T18:45:00Z'),
+    });
+    expect(completed.result.tallies[0]).toMatchObject({
+      optionId: '2',
+      yes: 2,
+    });
+
+    // Changing the rule afterwards doesn't alter the frozen result.
+    completed.decisionRule = 'unanimous';
+    await completed.save();
+    const result = await scheduler.sessionService.result(
+      session._id,
+      creatorId
+    );
+    expect(result).toMatchObject({ rule: 'approval', winners: ['2'] });
+  });
+
+  test('should cancel pending sessions left idle past the TTL', async () => {
+    const idle = await Session.create({
+      title: 'Forgotten',
+      createdBy: creatorId,
+      users: [creatorId],
+    });
+    const waiting = await Session.create({
+      title: 'Next week',
+      createdBy: creatorId,
+      users: [creatorId],
+      autoStartAt: new Date(Date.now() + 5 * HOUR),
+    });
+
+    await advance(HOUR);
+    expect((await Session.findById(idle._id)).status).toBe('Pending');
+
+    await advance(2 * HOUR);
+    expect((await Session.findById(idle._id)).status).toBe('Cancelled');
+    expect((await Session.findById(waiting._id)).status).toBe('Pending');
+  });
+
+  test('should leave sessions alone once stopped', async () => {
+    await scheduler.stop();
+    const session = await Session.create({
+      title: 'Paused',
+      createdBy: creatorId,
+      users: [creatorId],
+      status: 'Active',
+      options,
+      swipeDeadline: new Date(Date.now() + MINUTE),
+    });
+
+    jest.advanceTimersByTime(HOUR);
+    expect(scheduler.running).toBeNull();
+    expect((await Session.findById(session._id)).status).toBe('Active');
+  });
+});
@@ -2,10 +2,15 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Session = require('../models/Session');
-const { app, server } = require('../server');
+const { createApp } = require('../app');
 const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
 
-jest.mock('../db', () => jest.fn(() => Promise.resolve()));
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
 
 describe('Session Endpoints', () => {
   let userId;
@@ -58,6 +63,7 @@ describe('Session Endpoints', () => {
       ],
       swipes: [{ userId, optionSwipes }],
       users: [userId],
+      status: 'Active',
     });
     await unanimousSession.save();
     unanimousSessionId = unanimousSession._id.toString();
@@ -78,7 +84,6 @@ describe('Session Endpoints', () => {
   afterAll(async () => {
     await mongoose.disconnect();
     await mongoServer.stop();
-    server.close();
   });
 
   describe('/create-session Endpoint', () => {
@@ -86,7 +91,8 @@ describe('Session Endpoints', () => {
       const res = await request(app)
         .post('/create-session')
         .set('Content-Type', 'application/json')
-        .send({ title: 'Test', userId: userId });
+        .set('Authorization', bearer(userId))
+        .send({ title: 'Test' });
 
       expect(res.statusCode).toBe(201);
       expect(res.body).toHaveProperty(
@@ -105,23 +111,40 @@ describe('Session Endpoints', () => {
     });
 
     test("should return 400 if title isn't provided", async () => {
-      const res = await request(app).post('/create-session').send({ userId });
+      const res = await request(app)
+        .post('/create-session')
+        .set('Authorization', bearer(userId))
+        .send({});
       expect(res.statusCode).toBe(400);
-      expect(res.body).toHaveProperty('error', 'Invalid title or user ID');
+      expect(res.body).toHaveProperty('error', 'title is required');
+      expect(res.body).toHaveProperty('code', 'VALIDATION_ERROR');
     });
 
-    test("should return 400 if userId isn't provided", async () => {
+    test("should return 401 if the auth token isn't provided", async () => {
       const res = await request(app)
         .post('/create-session')
+        .send({ title: 'Test', userId });
+      expect(res.statusCode).toBe(401);
+      expect(res.body).toHaveProperty(
+        'error',
+        'Authentication token is required'
+      );
+    });
+
+    test('should return 401 if the auth token is invalid', async () => {
+      const res = await request(app)
+        .post('/create-session')
+        .set('Authorization', 'Bearer not-a-token')
         .send({ title: 'Test' });
-      expect(res.statusCode).toBe(400);
-      expect(res.body).toHaveProperty('error', 'Invalid title or user ID');
+      expect(res.statusCode).toBe(401);
+      expect(res.body).toHaveProperty('error', 'Invalid or expired token');
     });
 
     test("Should return 404 if user doesn't exist", async () => {
       const res = await request(app)
         .post('/create-session')
-        .send({ title: 'test', userId: new mongoose.Types.ObjectId() });
+        .set('Authorization', bearer(new mongoose.Types.ObjectId()))
+        .send({ title: 'test' });
       expect(res.statusCode).toBe(404);
       expect(res.body).toHaveProperty('error', "User doesn't exist");
     });
@@ -133,12 +156,13 @@ describe('Session Endpoints', () => {
 
       const res = await request(app)
         .post('/create-session')
-        .send({ title: 'test', userId });
+        .set('Authorization', bearer(userId))
+        .send({ title: 'test' });
       expect(res.status).toBe(500);
-      expect(res.body).toHaveProperty(
-        'error',
-        'Server error occured while creating session'
-      );
+      expect(res.body).toHaveProperty('error', 'Server error');
+      expect(res.body).toHaveProperty('code', 'INTERNAL_ERROR');
+
+      Session.create.mockRestore();
     });
   });
 
@@ -146,7 +170,8 @@ describe('Session Endpoints', () => {
     test('should add user to session and update users joinedSessions property', async () => {
       const res = await request(app)
         .post('/join-session')
-        .send({ sessionId: emptySessionId, userId });
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: emptySessionId });
 
       expect(res.statusCode).toBe(200);
       expect(res.body).toHaveProperty(
@@ -160,29 +185,27 @@ describe('Session Endpoints', () => {
     });
 
     test('should return 400 if sessionId is missing', async () => {
-      const res = await request(app).post('/join-session').send({ userId });
+      const res = await request(app)
+        .post('/join-session')
+        .set('Authorization', bearer(userId))
+        .send({});
       expect(res.statusCode).toBe(400);
-      expect(res.body).toHaveProperty(
-        'error',
-        'sessionID and userID are required'
-      );
+      expect(res.body).toHaveProperty('error', 'sessionId is required');
+      expect(res.body).toHaveProperty('code', 'VALIDATION_ERROR');
     });
 
-    test('should return 400 if userId is missing', async () => {
+    test('should return 401 if the auth token is missing', async () => {
       const res = await request(app)
         .post('/join-session')
-        .send({ sessionId: unanimousSessionId });
-      expect(res.statusCode).toBe(400);
-      expect(res.body).toHaveProperty(
-        'error',
-        'sessionID and userID are required'
-      );
+        .send({ sessionId: unanimousSessionId, userId });
+      expect(res.statusCode).toBe(401);
     });
 
     test('should return 400 if session status is complete', async () => {
       const res = await request(app)
         .post('/join-session')
-        .send({ sessionId: completedSessionId, userId });
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: completedSessionId });
       expect(res.statusCode).toBe(400);
       expect(res.body).toHaveProperty(
         'error',
@@ -193,7 +216,8 @@ describe('Session Endpoints', () => {
     test('should return 400 if session status is cancelled', async () => {
       const res = await request(app)
         .post('/join-session')
-        .send({ sessionId: cancelledSessionId, userId });
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: cancelledSessionId });
       expect(res.statusCode).toBe(400);
       expect(res.body).toHaveProperty(
         'error',
@@ -204,29 +228,32 @@ describe('Session Endpoints', () => {
     test("should return 404 if session doesn't exist", async () => {
       const res = await request(app)
         .post('/join-session')
-        .send({ sessionId: new mongoose.Types.ObjectId(), userId });
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: new mongoose.Types.ObjectId() });
       expect(res.statusCode).toBe(404);
       expect(res.body).toHaveProperty('error', "Session doesn't exist");
     });
 
     test("should return 404 if user doesn't exist", async () => {
-      const res = await request(app).post('/join-session').send({
-        userId: new mongoose.Types.ObjectId(),
-        sessionId: emptySessionId,
-      });
+      const res = await request(app)
+        .post('/join-session')
+        .set('Authorization', bearer(new mongoose.Types.ObjectId()))
+        .send({ sessionId: emptySessionId });
       expect(res.statusCode).toBe(404);
       expect(res.body).toHaveProperty('error', "User doesn't exist");
     });
 
-    test('should return 400 if user is already in session', async () => {
+    test('should return 409 if user is already in session', async () => {
       const res = await request(app)
         .post('/join-session')
-        .send({ userId, sessionId: unanimousSessionId });
-      expect(res.statusCode).toBe(400);
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: unanimousSessionId });
+      expect(res.statusCode).toBe(409);
       expect(res.body).toHaveProperty(
         'error',
         'User is already in the session'
       );
+      expect(res.body).toHaveProperty('code', 'CONFLICT');
     });
     test('should return 500 if an error occurs during session lookup', async () => {
       jest.spyOn(Session, 'findById').mockImplementation(() => {
@@ -235,7 +262,8 @@ describe('Session Endpoints', () => {
 
       const res = await request(app)
         .post('/join-session')
-        .send({ sessionId: 'validSessionId', userId: 'validUserId' });
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: new mongoose.Types.ObjectId() });
 
       expect(res.statusCode).toBe(500);
       expect(res.body).toHaveProperty('error', 'Server error');
@@ -246,12 +274,14 @@ describe('Session Endpoints', () => {
 
   describe('/swipe-option Endpoint', () => {
     test('should add valid swipe option to the session', async () => {
-      const res = await request(app).post('/swipe-option').send({
-        sessionId: unanimousSessionId,
-        userId,
-        optionId: '1',
-        swipeAction: 'yes',
-      });
+      const res = await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(userId))
+        .send({
+          sessionId: unanimousSessionId,
+          optionId: '1',
+          swipeAction: 'yes',
+        });
       expect(res.statusCode).toBe(200);
       expect(res.body).toHaveProperty(
         'message',
@@ -263,70 +293,70 @@ describe('Session Endpoints', () => {
     test('should return 400 if required fields are missing', async () => {
       const missingFieldCases = [
         {
-          userId: 'validUserId',
           optionId: 'validOptionId',
           swipeAction: 'yes',
         },
         {
-          sessionId: 'validSessionId',
-          optionId: 'validOptionId',
+          sessionId: unanimousSessionId,
           swipeAction: 'yes',
         },
         {
-          sessionId: 'validSessionId',
-          userId: 'validUserId',
-          swipeAction: 'yes',
-        },
-        {
-          sessionId: 'validSessionId',
-          userId: 'validUserId',
+          sessionId: unanimousSessionId,
           optionId: 'validOptionId',
         },
         {},
       ];
 
       for (const testCase of missingFieldCases) {
-        const res = await request(app).post('/swipe-option').send(testCase);
+        const res = await request(app)
+          .post('/swipe-option')
+          .set('Authorization', bearer(userId))
+          .send(testCase);
 
         expect(res.statusCode).toBe(400);
-        expect(res.body).toHaveProperty(
-          'error',
-          'session ID, user ID, option ID and swipe action are required'
-        );
+        expect(res.body).toHaveProperty('code', 'VALIDATION_ERROR');
+        expect(res.body.error).toMatch(/is required$/);
       }
     });
 
     test("should return 404 if session doesn't exist", async () => {
-      const res = await request(app).post('/swipe-option').send({
-        sessionId: new mongoose.Types.ObjectId(),
-        userId,
-        optionId: '1',
-        swipeAction: 'yes',
-      });
+      const res = await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(userId))
+        .send({
+          sessionId: new mongoose.Types.ObjectId(),
+          optionId: '1',
+          swipeAction: 'yes',
+        });
       expect(res.statusCode).toBe(404);
       expect(res.body).toHaveProperty('error', "Session doesn't exist");
     });
 
     test("should return 404 if user doesn't exist", async () => {
-      const res = await request(app).post('/swipe-option').send({
-        sessionId: unanimousSessionId,
-        userId: new mongoose.Types.ObjectId(),
-        optionId: '1',
-        swipeAction: 'yes',
-      });
+      const res = await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(new mongoose.Types.ObjectId()))
+        .send({
+          sessionId: unanimousSessionId,
+          optionId: '1',
+          swipeAction: 'yes',
+        });
       expect(res.status).toBe(404);
       expect(res.body).toHaveProperty('error', 'User is not in session');
     });
 
     test('should return 400 if swipe action is invalid', async () => {
-      const res = await request(app).post('/swipe-option').send({
-        sessionId: unanimousSessionId,
-        userId: userId,
-        optionId: '1',
-        swipeAction: 'yessir',
-      });
+      const res = await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(userId))
+        .send({
+          sessionId: unanimousSessionId,
+          optionId: '1',
+          swipeAction: 'yessir',
+        });
       expect(res.status).toBe(400);
-      expect(res.body).toHaveProperty('error', 'Invalid swipe action');
+      expect(res.body).toHaveProperty('code', 'VALIDATION_ERROR');
+      expect(res.body.details[0]).toHaveProperty('field', 'swipeAction');
     });
 
     test('should return 500 if an error occurs during session lookup', async () => {
@@ -334,53 +364,177 @@ describe('Session Endpoints', () => {
         throw new Error('Database failure');
       });
 
-      const res = await request(app).post('/swipe-option').send({
-        sessionId: unanimousSessionId,
-        userId: userId,
-        optionId: '1',
-        swipeAction: 'yes',
-      });
+      const res = await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(userId))
+        .send({
+          sessionId: unanimousSessionId,
+          optionId: '1',
+          swipeAction: 'yes',
+        });
 
       expect(res.statusCode).toBe(500);
+      expect(res.body).toHaveProperty('error', 'Server error');
+
+      Session.findById.mockRestore();
+    });
+  });
+
+  describe('Session lifecycle Endpoints', () => {
+    let lifecycleSessionId;
+
+    beforeAll(async () => {
+      const session = new Session({
+        title: 'Lifecycle',
+        createdBy: userId,
+        users: [userId],
+        options: [
+          { optionId: '1', description: 'cinema', yesVotes: 0, noVotes: 0 },
+        ],
+      });
+      await session.save();
+      lifecycleSessionId = session._id.toString();
+    });
+
+    test('should reject swipes while the session is pending', async () => {
+      const res = await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(userId))
+        .send({
+          sessionId: lifecycleSessionId,
+          optionId: '1',
+          swipeAction: 'yes',
+        });
+      expect(res.statusCode).toBe(400);
       expect(res.body).toHaveProperty(
         'error',
-        'Server error occured while recording swipe action'
+        'Swipes are only accepted while the session is active'
       );
+    });
 
-      Session.findById.mockRestore();
+    test('should return 403 if a non-creator starts the session', async () => {
+      const res = await request(app)
+        .post('/start-session')
+        .set('Authorization', bearer(new mongoose.Types.ObjectId()))
+        .send({ sessionId: lifecycleSessionId });
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toHaveProperty(
+        'error',
+        'Only the session creator can start the session'
+      );
+    });
+
+    test('should return 400 when starting a session without options', async () => {
+      const session = await Session.create({
+        title: 'No options',
+        createdBy: userId,
+        users: [userId],
+      });
+
+      const res = await request(app)
+        .post('/start-session')
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: session._id.toString() });
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toHaveProperty(
+        'error',
+        'Cannot start a session without options'
+      );
+    });
+
+    test('should start the session and complete it once everyone has swiped', async () => {
+      const started = await request(app)
+        .post('/start-session')
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: lifecycleSessionId });
+      expect(started.statusCode).toBe(200);
+      expect(started.body).toHaveProperty(
+        'message',
+        'Session started successfully'
+      );
+      expect(started.body.session).toHaveProperty('status', 'Active');
+
+      const swiped = await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(userId))
+        .send({
+          sessionId: lifecycleSessionId,
+          optionId: '1',
+          swipeAction: 'yes',
+        });
+      expect(swiped.statusCode).toBe(200);
+      expect(swiped.body).toHaveProperty('status', 'Completed');
+
+      const sessionInDb = await Session.findById(lifecycleSessionId);
+      expect(sessionInDb.status).toBe('Completed');
+    });
+
+    test('should return 400 for an invalid transition', async () => {
+      const res = await request(app)
+        .post('/cancel-session')
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: lifecycleSessionId });
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toHaveProperty(
+        'error',
+        'Cannot cancel a completed session'
+      );
+    });
+
+    test('should let the creator cancel a pending session', async () => {
+      const session = await Session.create({
+        title: 'Cancel me',
+        createdBy: userId,
+        users: [userId],
+      });
+
+      const res = await request(app)
+        .post('/cancel-session')
+        .set('Authorization', bearer(userId))
+        .send({ sessionId: session._id.toString() });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.session).toHaveProperty('status', 'Cancelled');
     });
   });
 
   test('should return unanimous decision', async () => {
     const res = await request(app)
       .get(`/session-result`)
+      .set('Authorization', bearer(userId))
       .query({ sessionId: unanimousSessionId });
 
     expect(res.statusCode).toBe(200);
-    expect(res.body).toHaveProperty('message', 'Unanimous decisions found');
-    expect(res.body).toHaveProperty('unanimousResults');
-    expect(res.body.unanimousResults).toBeInstanceOf(Array);
-    expect(res.body.unanimousResults.length).toBeGreaterThan(0);
+    expect(res.body).toHaveProperty('message', 'Winning options found');
+    expect(res.body).toHaveProperty('rule', 'unanimous');
+    expect(res.body.winners).toBeInstanceOf(Array);
+    expect(res.body.winners.length).toBeGreaterThan(0);
+    expect(res.body.results[0]).toEqual(
+      expect.objectContaining({ yes: 1, no: 0, unswiped: 0 })
+    );
   });
 
-  test('should return sorted yes answers if no unanimous decision', async () => {
+  test('should return ranked results if no option satisfies the rule', async () => {
     const res = await request(app)
       .get('/session-result')
+      .set('Authorization', bearer(userId))
       .query({ sessionId: nonUnanimousSessionId });
 
     expect(res.statusCode).toBe(200);
     expect(res.body).toHaveProperty(
       'message',
-      'No unanimous decisions; sorted yes swipes provided'
+      'No option satisfies the decision rule'
+    );
+    expect(res.body.winners).toEqual([]);
+    expect(res.body.results).toBeInstanceOf(Array);
+    expect(res.body.results[0]).toEqual(
+      expect.objectContaining({ optionId: '2', yes: 1, unswiped: 1 })
     );
-    expect(res.body).toHaveProperty('allResults');
-    expect(res.body.allResults).toBeInstanceOf(Array);
-    expect(res.body.allResults.length).toBeGreaterThan(0);
   });
 
   test("should return 404 if session doesn't exist", async () => {
     const res = await request(app)
       .get('/session-result')
+      .set('Authorization', bearer(userId))
       .query({ sessionId: new mongoose.Types.ObjectId().toString() });
 
     expect(res.statusCode).toBe(404);
@@ -388,19 +542,48 @@ describe('Session Endpoints', () => {
   });
 
   test('should return 400 if sessionId is invalid', async () => {
-    const res = await request(app).get('/session-result').query({});
+    const res = await request(app)
+      .get('/session-result')
+      .set('Authorization', bearer(userId))
+      .query({});
 
     expect(res.statusCode).toBe(400);
-    expect(res.body).toHaveProperty('error', 'Session ID is required');
+    expect(res.body).toHaveProperty('error', 'sessionId is required');
+    expect(res.body).toHaveProperty('code', 'VALIDATION_ERROR');
   });
 
-  test('should return 400 if no "yes" swipes were recorded', async () => {
+  test('should return no winners if no "yes" swipes were recorded', async () => {
     const res = await request(app)
       .get('/session-result')
+      .set('Authorization', bearer(userId))
       .query({ sessionId: emptySessionId });
 
+    expect(res.statusCode).toBe(200);
+    expect(res.body.winners).toEqual([]);
+  });
+
+  test('should use the decision rule stored on the session', async () => {
+    const created = await request(app)
+      .post('/create-session')
+      .set('Authorization', bearer(userId))
+      .send({ title: 'Majority', decisionRule: 'majority' });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.session).toHaveProperty('decisionRule', 'majority');
+
+    const res = await request(app)
+      .get('/session-result')
+      .set('Authorization', bearer(userId))
+      .query({ sessionId: created.body.session._id });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('rule', 'majority');
+  });
+
+  test('should return 400 for an unknown decision rule', async () => {
+    const res = await request(app)
+      .post('/create-session')
+      .set('Authorization', bearer(userId))
+      .send({ title: 'Test', decisionRule: 'coin-flip' });
     expect(res.statusCode).toBe(400);
-    expect(res.body).toHaveProperty('error', 'No "yes" swipes recorded');
   });
 
   test('should return 500 if an error occurs during session lookup', async () => {
@@ -408,15 +591,13 @@ describe('Session Endpoints', () => {
       throw new Error('Database failure');
     });
 
-    const res = await request(app).get('/session-result').query({
-      sessionId: unanimousSessionId,
-    });
+    const res = await request(app)
+      .get('/session-result')
+      .set('Authorization', bearer(userId))
+      .query({ sessionId: unanimousSessionId });
 
     expect(res.statusCode).toBe(500);
-    expect(res.body).toHaveProperty(
-      'error',
-      'Server error retrieving session result'
-    );
+    expect(res.body).toHaveProperty('error', 'Server error');
 
     Session.findById.mockRestore();
   });
@@ -0,0 +1,183 @@
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createApp } = require('../app');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+const { createSession, createUsers } = require('../fixtures');
+const sessionEvents = require('../realtime/sessionEvents');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const app = createApp();
+const server = app.listen(0);
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+// Opens an event stream and resolves with the parsed events once `count`
+// of them (including the initial snapshot) have arrived, or the server ends
+// the stream.
+const collectEvents = (sessionId, userId, count) => {
+  const events = [];
+  let req;
+
+  const done = new Promise((resolve, reject) => {
+    req = http.get(
+      {
+        port: server.address().port,
+        path: `/session-events?sessionId=${sessionId}&token=${signAccessToken(
+          userId
+        )}`,
+      },
+      (res) => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          const frames = buffer.split('\n\n');
+          buffer = frames.pop();
+          frames
+            .filter((frame) => frame.startsWith('event:'))
+            .forEach((frame) => {
+              const [typeLine, dataLine] = frame.split('\n');
+              events.push({
+                type: typeLine.replace('event: ', ''),
+                data: JSON.parse(dataLine.replace('data: ', '')),
+              });
+            });
+          if (events.length >= count) {
+            req.destroy();
+            resolve(events);
+          }
+        });
+        res.on('end', () => resolve(events));
+      }
+    );
+    req.on('error', reject);
+  });
+
+  return done;
+};
+
+const waitForSubscriber = async (sessionId) => {
+  while (sessionEvents.listenerCount(sessionId) === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe('Session event stream', () => {
+  let mongoServer;
+  let creatorId;
+  let memberId;
+  let sessionId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const creator = await User.create({
+      userName: 'creator',
+      email: 'creator@example.com',
+    });
+    creatorId = creator._id.toString();
+
+    const member = await User.create({
+      userName: 'member',
+      email: 'member@example.com',
+    });
+    memberId = member._id.toString();
+
+    const session = await Session.create({
+      title: 'Test',
+      createdBy: creatorId,
+      users: [creatorId],
+      options: [
+        { optionId: '1', description: 'cinema', yesVotes: 0, noVotes: 0 },
+      ],
+    });
+    sessionId = session._id.toString();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+    server.close();
+  });
+
+  test('should return 403 for users outside the session', async () => {
+    const res = await request(app)
+      .get('/session-events')
+      .set('Authorization', bearer(memberId))
+      .query({ sessionId });
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('should push joins, status changes, progress and matches', async () => {
+    const streamed = collectEvents(sessionId, creatorId, 7);
+    await waitForSubscriber(sessionId);
+
+    await request(app)
+      .post('/join-session')
+      .set('Authorization', bearer(memberId))
+      .send({ sessionId });
+    await request(app)
+      .post('/start-session')
+      .set('Authorization', bearer(creatorId))
+      .send({ sessionId });
+    for (const userId of [creatorId, memberId]) {
+      await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(userId))
+        .send({ sessionId, optionId: '1', swipeAction: 'yes' });
+    }
+
+    const events = await streamed;
+    expect(events.map((event) => event.type)).toEqual([
+      'snapshot',
+      'member-joined',
+      'status-changed',
+      'swipe-progress',
+      'swipe-progress',
+      'match-found',
+      'status-changed',
+    ]);
+    expect(events[1].data).toHaveProperty('memberCount', 2);
+    expect(events[4].data).toEqual({
+      swiped: 2,
+      total: 2,
+      membersFinished: 2,
+      memberCount: 2,
+    });
+    expect(events[5].data).toHaveProperty('optionId', '1');
+    expect(events[6].data).toHaveProperty('status', 'Completed');
+    expect(JSON.stringify(events)).not.toContain('"yes"');
+  });
+
+  test("should end a removed member's stream before later comments", async () => {
+    const [creator, member] = await createUsers(2);
+    const { session } = await createSession({
+      createdBy: creator,
+      members: [member],
+    });
+
+    const streamed = collectEvents(session._id, member._id, 10);
+    await waitForSubscriber(session._id);
+
+    await request(app)
+      .delete(`/api/v1/sessions/${session._id}/members/${member._id}`)
+      .set('Authorization', bearer(creator._id));
+    await request(app)
+      .post(`/api/v1/sessions/${session._id}/comments`)
+      .set('Authorization', bearer(creator._id))
+      .send({ text: 'Just us now' });
+
+    const events = await streamed;
+    expect(events.map((event) => event.type)).toEqual([
+      'snapshot',
+      'member-left',
+    ]);
+    expect(sessionEvents.listenerCount(session._id)).toBe(0);
+  });
+});
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { SessionService } = require('../services');
+
+// Collects published events instead of broadcasting them.
+const recordingEvents = () => {
+  const published = [];
+  return {
+    published,
+    publish: (sessionId, type, data) => published.push({ type, data }),
+    subscribe: () => () => {},
+  };
+};
+
+describe('SessionService', () => {
+  let mongoServer;
+  let creatorId;
+  let memberId;
+  let events;
+  let sessionService;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const [creator, member] = await User.insertMany([
+      { userName: 'creator', email: 'creator@example.com' },
+      { userName: 'member', email: 'member@example.com' },
+    ]);
+    creatorId = creator._id.toString();
+    memberId = member._id.toString();
+  });
+
+  beforeEach(() => {
+    events = recordingEvents();
+    sessionService = new SessionService({
+      config: { inviteBaseUrl: 'https://venn.example' },
+      events,
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  test('join should add the member and announce them', async () => {
+    const { session, inviteLink } = await sessionService.create(creatorId, {
+      title: 'Lunch',
+    });
+    expect(inviteLink.startsWith('https://venn.example/join/')).toBe(true);
+
+    const joined = await sessionService.join(session._id, memberId);
+
+    expect(joined.users.map(String)).toEqual([creatorId, memberId]);
+    expect(events.published).toEqual([
+      expect.objectContaining({
+        type: 'member-joined',
+        data: expect.objectContaining({ memberCount: 2 }),
+      }),
+    ]);
+    await expect(sessionService.join(session._id, memberId)).rejects.toEqual(
+      expect.objectContaining({ status: 409, code: 'CONFLICT' })
+    );
+  });
+
+  test('create should only store the settings it knows', async () => {
+    const { session } = await sessionService.create(creatorId, {
+      title: 'Lunch',
+      lockVotesOnComplete: false,
+      status: 'Completed',
+      users: [creatorId, memberId],
+    });
+
+    expect(session.lockVotesOnComplete).toBe(false);
+    expect(session.status).toBe('Pending');
+    expect(session.users.map(String)).toEqual([creatorId]);
+  });
+
+  test('reorderOptions should refuse repeated option IDs', async () => {
+    const session = await Session.create({
+      title: 'Lunch',
+      createdBy: creatorId,
+      users: [creatorId],
+      status: 'Pending',
+      options: ['a', 'b'].map((optionId) => ({
+        optionId,
+        description: `option ${optionId}`,
+      })),
+    });
+
+    await expect(
+      sessionService.reorderOptions(session._id, creatorId, ['a', 'a'])
+    ).rejects.toEqual(expect.objectContaining({ status: 400 }));
+
+    const unchanged = await Session.findById(session._id);
+    expect(unchanged.options.map((option) => option.optionId)).toEqual([
+      'a',
+      'b',
+    ]);
+  });
+
+  test('recordSwipe should complete the session after the last swipe', async () => {
+    const session = await Session.create({
+      title: 'Dinner',
+      createdBy: creatorId,
+      users: [creatorId, memberId],
+      status: 'Active',
+      options: [{ optionId: '1', description: 'tacos' }],
+    });
+
+    const first = await sessionService.recordSwipe(
+      session._id,
+      creatorId,
+      '1',
+      'yes'
+    );
+    expect(first).toEqual({ swipes: { 1: 'yes' }, status: 'Active' });
+
+    const last = await sessionService.recordSwipe(
+      session._id,
+      memberId,
+      '1',
+      'yes'
+    );
+    expect(last).toEqual({ swipes: { 1: 'yes' }, status: 'Completed' });
+    expect(events.published.map((event) => event.type)).toEqual([
+      'swipe-progress',
+      'swipe-progress',
+      'match-found',
+      'status-changed',
+    ]);
+
+    const { winners } = await sessionService.result(session._id, memberId);
+    expect(winners).toEqual(['1']);
+  });
+
+  test('recordSwipe should reject swipes from non-members', async () => {
+    const session = await Session.create({
+      title: 'Private',
+      createdBy: creatorId,
+      users: [creatorId],
+      status: 'Active',
+      options: [{ optionId: '1', description: 'tacos' }],
+    });
+
+    await expect(
+      sessionService.recordSwipe(session._id, memberId, '1', 'no')
+    ).rejects.toThrow('User is not in session');
+  });
+
+  test('removeFromSession should keep swipes recorded since the session was read', async () => {
+    const third = await User.create({
+      userName: 'third',
+      email: 'third@example.com',
+    });
+    const session = await Session.create({
+      title: 'Lunch',
+      createdBy: creatorId,
+      users: [creatorId, memberId, third._id],
+      status: 'Active',
+      options: [
+        { optionId: '1', description: 'tacos' },
+        { optionId: '2', description: 'pho' },
+      ],
+    });
+    await sessionService.recordSwipe(session._id, memberId, '1', 'yes');
+    const stale = await Session.findById(session._id);
+
+    await sessionService.recordSwipe(session._id, creatorId, '1', 'yes');
+    await sessionService.removeFromSession(stale, memberId);
+
+    const updated = await Session.findById(session._id);
+    expect(updated.users.map(String)).toEqual([creatorId, String(third._id)]);
+    expect(updated.swipes.map((swipe) => String(swipe.userId))).toEqual([
+      creatorId,
+    ]);
+    expect(updated.options[0].yesVotes).toBe(1);
+    expect(events.published.map((event) => event.type)).toContain(
+      'member-left'
+    );
+  });
+});
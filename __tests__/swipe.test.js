@@ -0,0 +1,190 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createApp } = require('../app');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Concurrent swipes', () => {
+  const MEMBER_COUNT = 12;
+  const OPTION_IDS = ['1', '2', '3', '4', '5'];
+  let mongoServer;
+  let memberIds;
+  let sessionId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const members = await User.insertMany(
+      Array.from({ length: MEMBER_COUNT }, (_, n) => ({
+        userName: `member${n}`,
+        email: `member${n}@example.com`,
+      }))
+    );
+    memberIds = members.map((member) => member._id.toString());
+
+    const session = await Session.create({
+      title: 'Test',
+      createdBy: memberIds[0],
+      users: memberIds,
+      status: 'Active',
+      options: OPTION_IDS.map((optionId) => ({
+        optionId,
+        description: `option ${optionId}`,
+        yesVotes: 0,
+        noVotes: 0,
+      })),
+    });
+    sessionId = session._id.toString();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  test('should not lose any swipes sent in parallel', async () => {
+    const swipeAction = (memberIndex, optionIndex) =>
+      (memberIndex + optionIndex) % 3 === 0 ? 'no' : 'yes';
+
+    const responses = await Promise.all(
+      memberIds.flatMap((memberId, memberIndex) =>
+        OPTION_IDS.map((optionId, optionIndex) =>
+          request(app)
+            .post('/swipe-option')
+            .set('Authorization', bearer(memberId))
+            .send({
+              sessionId,
+              optionId,
+              swipeAction: swipeAction(memberIndex, optionIndex),
+            })
+        )
+      )
+    );
+    responses.forEach((res) => expect(res.statusCode).toBe(200));
+
+    const session = await Session.findById(sessionId);
+    expect(session.swipes).toHaveLength(MEMBER_COUNT);
+    memberIds.forEach((memberId, memberIndex) => {
+      const userSwipe = session.swipes.find((swipe) =>
+        swipe.userId.equals(memberId)
+      );
+      OPTION_IDS.forEach((optionId, optionIndex) => {
+        expect(userSwipe.optionSwipes.get(optionId)).toBe(
+          swipeAction(memberIndex, optionIndex)
+        );
+      });
+    });
+
+    session.options.forEach((option, optionIndex) => {
+      const expectedNo = memberIds.filter(
+        (_, memberIndex) => swipeAction(memberIndex, optionIndex) === 'no'
+      ).length;
+      expect(option.noVotes).toBe(expectedNo);
+      expect(option.yesVotes).toBe(MEMBER_COUNT - expectedNo);
+    });
+    expect(session.status).toBe('Completed');
+  });
+
+  test('should move tallies when a member changes their swipe', async () => {
+    const session = await Session.create({
+      title: 'Change of heart',
+      createdBy: memberIds[0],
+      users: [memberIds[0], memberIds[1]],
+      status: 'Active',
+      options: [
+        { optionId: '1', description: 'cinema', yesVotes: 0, noVotes: 0 },
+      ],
+    });
+
+    for (const swipeAction of ['yes', 'no']) {
+      await request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(memberIds[0]))
+        .send({ sessionId: session._id, optionId: '1', swipeAction });
+    }
+
+    const updated = await Session.findById(session._id);
+    expect(updated.options[0].yesVotes).toBe(0);
+    expect(updated.options[0].noVotes).toBe(1);
+  });
+
+  test('should reject superlikes and vetoes beyond the allowance, even in parallel', async () => {
+    const session = await Session.create({
+      title: 'Allowances',
+      createdBy: memberIds[0],
+      users: [memberIds[0], memberIds[1]],
+      status: 'Active',
+      allowances: { superlike: 1, veto: 0 },
+      options: OPTION_IDS.map((optionId) => ({
+        optionId,
+        description: `option ${optionId}`,
+        yesVotes: 0,
+        noVotes: 0,
+      })),
+    });
+
+    const responses = await Promise.all(
+      OPTION_IDS.map((optionId) =>
+        request(app)
+          .post('/swipe-option')
+          .set('Authorization', bearer(memberIds[0]))
+          .send({ sessionId: session._id, optionId, swipeAction: 'superlike' })
+      )
+    );
+    const accepted = responses.filter((res) => res.statusCode === 200);
+    expect(accepted).toHaveLength(1);
+    expect(accepted[0].body.remaining).toEqual({ superlike: 0, veto: 0 });
+    responses
+      .filter((res) => res.statusCode !== 200)
+      .forEach((res) => {
+        expect(res.statusCode).toBe(409);
+        expect(res.body).toHaveProperty('code', 'LIMIT_EXCEEDED');
+      });
+
+    const veto = await request(app)
+      .post('/swipe-option')
+      .set('Authorization', bearer(memberIds[1]))
+      .send({ sessionId: session._id, optionId: '1', swipeAction: 'veto' });
+    expect(veto.statusCode).toBe(409);
+
+    const updated = await Session.findById(session._id);
+    const superliked = updated.options.filter(
+      (option) => option.superlikeVotes === 1
+    );
+    expect(superliked).toHaveLength(1);
+  });
+
+  test('should give a superlike back when it is changed', async () => {
+    const session = await Session.create({
+      title: 'Second thoughts',
+      createdBy: memberIds[0],
+      users: [memberIds[0], memberIds[1]],
+      status: 'Active',
+      options: [
+        { optionId: '1', description: 'cinema', yesVotes: 0, noVotes: 0 },
+        { optionId: '2', description: 'bowling', yesVotes: 0, noVotes: 0 },
+      ],
+    });
+    const swipe = (optionId, swipeAction) =>
+      request(app)
+        .post('/swipe-option')
+        .set('Authorization', bearer(memberIds[0]))
+        .send({ sessionId: session._id, optionId, swipeAction });
+
+    await swipe('1', 'superlike');
+    const changed = await swipe('1', 'maybe');
+    expect(changed.body.remaining).toHaveProperty('superlike', 1);
+
+    const moved = await swipe('2', 'superlike');
+    expect(moved.statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,272 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SwipeEvent = require('../models/SwipeEvent');
+const { createApp } = require('../app');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { signAccessToken } = require('../middleware/auth');
+
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
+
+describe('Swipe undo and history', () => {
+  let mongoServer;
+  let creatorId;
+  let memberId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    const [creator, member] = await User.insertMany([
+      { userName: 'creator', email: 'creator@example.com' },
+      { userName: 'member', email: 'member@example.com' },
+    ]);
+    creatorId = creator._id.toString();
+    memberId = member._id.toString();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  const createSession = async (fields = {}) => {
+    const session = await Session.create({
+      title: 'Test',
+      createdBy: creatorId,
+      users: [creatorId, memberId],
+      status: 'Active',
+      options: ['1', '2'].map((optionId) => ({
+        optionId,
+        description: `option ${optionId}`,
+        yesVotes: 0,
+        noVotes: 0,
+      })),
+      ...fields,
+    });
+    return session._id.toString();
+  };
+
+  const swipe = (sessionId, userId, optionId, swipeAction) =>
+    request(app)
+      .put(`/api/v1/sessions/${sessionId}/swipes/${optionId}`)
+      .set('Authorization', bearer(userId))
+      .send({ swipeAction });
+
+  const undo = (sessionId, userId) =>
+    request(app)
+      .post(`/api/v1/sessions/${sessionId}/swipes/undo`)
+      .set('Authorization', bearer(userId));
+
+  test('should undo swipes one at a time, newest first', async () => {
+    const sessionId = await createSession();
+    await swipe(sessionId, memberId, '1', 'yes');
+    await swipe(sessionId, memberId, '2', 'no');
+    await swipe(sessionId, memberId, '1', 'no');
+
+    const first = await undo(sessionId, memberId);
+    expect(first.statusCode).toBe(200);
+    expect(first.body.undone).toEqual({ optionId: '1', swipeAction: 'no' });
+    expect(first.body.swipes).toEqual({ 1: 'yes', 2: 'no' });
+
+    const second = await undo(sessionId, memberId);
+    expect(second.body.swipes).toEqual({ 1: 'yes' });
+
+    const third = await undo(sessionId, memberId);
+    expect(third.body.swipes).toEqual({});
+
+    const none = await undo(sessionId, memberId);
+    expect(none.statusCode).toBe(404);
+    expect(none.body).toHaveProperty('error', 'There is no swipe to undo');
+
+    const session = await Session.findById(sessionId);
+    expect(
+      session.options.map(({ yesVotes, noVotes }) => [yesVotes, noVotes])
+    ).toEqual([
+      [0, 0],
+      [0, 0],
+    ]);
+  });
+
+  test('should keep an audit log visible to the creator', async () => {
+    const sessionId = await createSession();
+    await swipe(sessionId, memberId, '1', 'yes');
+    await swipe(sessionId, memberId, '1', 'no');
+    await undo(sessionId, memberId);
+    await swipe(sessionId, creatorId, '2', 'yes');
+
+    const all = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/swipes/history`)
+      .set('Authorization', bearer(creatorId));
+    expect(all.statusCode).toBe(200);
+    expect(all.body.total).toBe(4);
+    expect(
+      all.body.events.map(({ type, action, previous }) => [
+        type,
+        action,
+        previous,
+      ])
+    ).toEqual([
+      ['swipe', 'yes', undefined],
+      ['undo', 'yes', 'no'],
+      ['swipe', 'no', 'yes'],
+      ['swipe', 'yes', undefined],
+    ]);
+
+    const own = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/swipes/history`)
+      .set('Authorization', bearer(memberId));
+    expect(own.body.total).toBe(3);
+
+    const others = await request(app)
+      .get(`/api/v1/sessions/${sessionId}/swipes/history`)
+      .query({ memberId: creatorId })
+      .set('Authorization', bearer(memberId));
+    expect(others.statusCode).toBe(403);
+  });
+
+  test("should only show the creator everyone's swipes in the session", async () => {
+    const sessionId = await createSession();
+    await swipe(sessionId, memberId, '1', 'yes');
+    await swipe(sessionId, creatorId, '1', 'no');
+
+    const swipersFor = async (userId) => {
+      const res = await request(app)
+        .get(`/api/v1/sessions/${sessionId}`)
+        .set('Authorization', bearer(userId));
+      return res.body.session.swipes.map((entry) => entry.userId);
+    };
+    expect(await swipersFor(memberId)).toEqual([memberId]);
+    expect((await swipersFor(creatorId)).sort()).toEqual(
+      [creatorId, memberId].sort()
+    );
+  });
+
+  test('should rebuild swipes and tallies by replaying the log', async () => {
+    const sessionId = await createSession();
+    await swipe(sessionId, memberId, '1', 'yes');
+    await swipe(sessionId, memberId, '2', 'yes');
+    await undo(sessionId, memberId);
+    await swipe(sessionId, creatorId, '1', 'no');
+
+    await Session.updateOne(
+      { _id: sessionId },
+      { $set: { swipes: [], 'options.$[].yesVotes': 7 } }
+    );
+
+    const res = await request(app)
+      .post(`/api/v1/sessions/${sessionId}/swipes/rebuild`)
+      .set('Authorization', bearer(creatorId));
+    expect(res.statusCode).toBe(200);
+
+    const session = await Session.findById(sessionId);
+    const swipesOf = (userId) =>
+      Object.fromEntries(
+        session.swipes.find((entry) => entry.userId.equals(userId)).optionSwipes
+      );
+    expect(swipesOf(memberId)).toEqual({ 1: 'yes' });
+    expect(swipesOf(creatorId)).toEqual({ 1: 'no' });
+    expect(session.options[0]).toMatchObject({ yesVotes: 1, noVotes: 1 });
+    expect(session.options[1]).toMatchObject({ yesVotes: 0, noVotes: 0 });
+  });
+
+  test('should keep swipes the log has no entries for when rebuilding', async () => {
+    const sessionId = await createSession({
+      swipes: [
+        { userId: creatorId, optionSwipes: new Map([['1', 'yes']]) },
+        {
+          userId: memberId,
+          optionSwipes: new Map([
+            ['1', 'no'],
+            ['2', 'yes'],
+          ]),
+        },
+      ],
+    });
+    await swipe(sessionId, creatorId, '2', 'no');
+
+    const res = await request(app)
+      .post(`/api/v1/sessions/${sessionId}/swipes/rebuild`)
+      .set('Authorization', bearer(creatorId));
+    expect(res.statusCode).toBe(200);
+
+    const session = await Session.findById(sessionId);
+    const swipesOf = (userId) =>
+      Object.fromEntries(
+        session.swipes.find((entry) => entry.userId.equals(userId)).optionSwipes
+      );
+    expect(swipesOf(memberId)).toEqual({ 1: 'no', 2: 'yes' });
+    expect(swipesOf(creatorId)).toEqual({ 2: 'no' });
+    expect(session.options[0]).toMatchObject({ yesVotes: 0, noVotes: 1 });
+    expect(session.options[1]).toMatchObject({ yesVotes: 1, noVotes: 1 });
+  });
+
+  test('should only accept swipes after completion when votes are unlocked', async () => {
+    const lockedId = await createSession({ status: 'Completed' });
+    const locked = await swipe(lockedId, memberId, '1', 'yes');
+    expect(locked.statusCode).toBe(400);
+
+    const unlockedId = await createSession({ status: 'Completed' });
+    const settings = await request(app)
+      .put(`/api/v1/sessions/${unlockedId}/settings`)
+      .set('Authorization', bearer(creatorId))
+      .send({ lockVotesOnComplete: false });
+    expect(settings.statusCode).toBe(200);
+
+    const unlocked = await swipe(unlockedId, memberId, '1', 'yes');
+    expect(unlocked.statusCode).toBe(200);
+    expect(unlocked.body).toHaveProperty('status', 'Completed');
+
+    // Not everyone has swiped, but the stored result still follows the swipe.
+    const result = await request(app)
+      .get(`/api/v1/sessions/${unlockedId}/result`)
+      .set('Authorization', bearer(memberId));
+    expect(result.statusCode).toBe(200);
+    expect(result.body.decidedAt).toBeDefined();
+    expect(
+      result.body.results.find((tally) => tally.optionId === '1')
+    ).toMatchObject({ yes: 1 });
+  });
+
+  test('should stop swipes and undos at the deadline', async () => {
+    const sessionId = await createSession({
+      lockVotesOnComplete: false,
+    });
+    await swipe(sessionId, memberId, '1', 'yes');
+    await Session.updateOne(
+      { _id: sessionId },
+      { swipeDeadline: new Date(Date.now() - 1000) }
+    );
+
+    // The scheduler hasn't completed the session yet.
+    const late = await swipe(sessionId, memberId, '2', 'yes');
+    expect(late.statusCode).toBe(400);
+    expect(late.body).toHaveProperty('error', 'The swipe deadline has passed');
+
+    const undone = await undo(sessionId, memberId);
+    expect(undone.statusCode).toBe(400);
+
+    // The atomic update re-checks the deadline for requests already past
+    // the first check.
+    expect(await Session.recordSwipe(sessionId, memberId, '2', 'yes')).toBe(
+      null
+    );
+
+    const session = await Session.findById(sessionId);
+    expect(session.status).toBe('Active');
+    expect(session.options[0].yesVotes).toBe(1);
+    expect(session.options[1].yesVotes).toBe(0);
+  });
+
+  test('should not allow log entries to be changed', async () => {
+    const event = await SwipeEvent.findOne();
+    await expect(
+      SwipeEvent.updateOne({ _id: event._id }, { action: 'no' })
+    ).rejects.toThrow('Swipe events are append-only');
+  });
+});
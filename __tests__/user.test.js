@@ -1,9 +1,18 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { app, server } = require('../server');
+const { createApp } = require('../app');
 const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { signAccessToken } = require('../middleware/auth');
+const { createSession, createUser, createUsers } = require('../fixtures');
 
-jest.mock('../db', () => jest.fn(() => Promise.resolve()));
+process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+
+const app = createApp();
+
+const bearer = (id) => `Bearer ${signAccessToken(id)}`;
 
 describe('User Endpoints', () => {
   let mongoServer;
@@ -16,7 +25,6 @@ describe('User Endpoints', () => {
   afterAll(async () => {
     await mongoose.disconnect();
     await mongoServer.stop();
-    server.close();
   });
 
   test('Should create a new user', async () => {
@@ -29,4 +37,238 @@ describe('User Endpoints', () => {
     expect(res.statusCode).toBe(201);
     expect(res.body).toHaveProperty('message', 'User created successfully');
   });
+
+  test('Should store a hashed password', async () => {
+    const user = await User.findOne({ email: 'test@example.com' }).select(
+      '+password'
+    );
+    expect(user.password).toBeDefined();
+    expect(user.password).not.toBe('testPasword');
+  });
+
+  test('Should log in with valid credentials and return tokens', async () => {
+    const res = await request(app).post('/login').send({
+      email: 'test@example.com',
+      password: 'testPasword',
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('accessToken');
+    expect(res.body).toHaveProperty('refreshToken');
+    expect(res.body.user).toHaveProperty('userName', 'testUser');
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  test('Should return 401 for a wrong password', async () => {
+    const res = await request(app).post('/login').send({
+      email: 'test@example.com',
+      password: 'wrongPassword',
+    });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toHaveProperty('error', 'Invalid email or password.');
+  });
+
+  test('Should issue new tokens for a valid refresh token', async () => {
+    const login = await request(app).post('/login').send({
+      email: 'test@example.com',
+      password: 'testPasword',
+    });
+
+    const res = await request(app)
+      .post('/refresh-token')
+      .send({ refreshToken: login.body.refreshToken });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('accessToken');
+  });
+
+  test('Should reject an access token used as a refresh token', async () => {
+    const login = await request(app).post('/login').send({
+      email: 'test@example.com',
+      password: 'testPasword',
+    });
+
+    const res = await request(app)
+      .post('/refresh-token')
+      .send({ refreshToken: login.body.accessToken });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  describe('Profile and account Endpoints', () => {
+    let ownerId;
+    let memberId;
+    let ownedSessionId;
+    let soloSessionId;
+
+    beforeAll(async () => {
+      const owner = await User.create({
+        userName: 'owner',
+        email: 'owner@example.com',
+      });
+      ownerId = owner._id.toString();
+      const member = await User.create({
+        userName: 'member',
+        email: 'member@example.com',
+      });
+      memberId = member._id.toString();
+
+      const ownedSession = await Session.create({
+        title: 'Shared',
+        createdBy: ownerId,
+        users: [ownerId, memberId],
+        status: 'Active',
+        options: [
+          { optionId: '1', description: 'cinema', yesVotes: 2, noVotes: 0 },
+        ],
+        swipes: [
+          { userId: ownerId, optionSwipes: new Map([['1', 'yes']]) },
+          { userId: memberId, optionSwipes: new Map([['1', 'yes']]) },
+        ],
+      });
+      ownedSessionId = ownedSession._id.toString();
+
+      const soloSession = await Session.create({
+        title: 'Solo',
+        createdBy: ownerId,
+        users: [ownerId],
+      });
+      soloSessionId = soloSession._id.toString();
+
+      owner.createdSessions.push(ownedSession._id, soloSession._id);
+      await owner.save();
+      member.joinedSessions.push(ownedSession._id);
+      await member.save();
+    });
+
+    test('Should return and update the profile', async () => {
+      const updated = await request(app)
+        .put('/profile')
+        .set('Authorization', bearer(ownerId))
+        .send({ userName: 'renamed' });
+      expect(updated.statusCode).toBe(200);
+      expect(updated.body.user).toHaveProperty('userName', 'renamed');
+
+      const res = await request(app)
+        .get('/profile')
+        .set('Authorization', bearer(ownerId));
+      expect(res.statusCode).toBe(200);
+      expect(res.body.user).toHaveProperty('email', 'owner@example.com');
+      expect(res.body.user).not.toHaveProperty('password');
+    });
+
+    test('Should return 409 for a profile update to a taken email', async () => {
+      const res = await request(app)
+        .put('/profile')
+        .set('Authorization', bearer(ownerId))
+        .send({ email: 'member@example.com' });
+      expect(res.statusCode).toBe(409);
+      expect(res.body).toHaveProperty(
+        'error',
+        'Username or email already taken.'
+      );
+    });
+
+    test('Should list sessions with status filter and pagination', async () => {
+      const all = await request(app)
+        .get('/my-sessions')
+        .set('Authorization', bearer(ownerId))
+        .query({ limit: 1 });
+      expect(all.statusCode).toBe(200);
+      expect(all.body.total).toBe(2);
+      expect(all.body.sessions).toHaveLength(1);
+
+      const active = await request(app)
+        .get('/my-sessions')
+        .set('Authorization', bearer(ownerId))
+        .query({ status: 'Active' });
+      expect(active.body.total).toBe(1);
+      expect(active.body.sessions[0]).toEqual(
+        expect.objectContaining({
+          id: ownedSessionId,
+          role: 'creator',
+          status: 'Active',
+          result: { rule: 'unanimous', winners: ['1'] },
+        })
+      );
+    });
+
+    test('Should return 400 for an unknown status filter', async () => {
+      const res = await request(app)
+        .get('/my-sessions')
+        .set('Authorization', bearer(ownerId))
+        .query({ status: 'Archived' });
+      expect(res.statusCode).toBe(400);
+    });
+
+    test('Should delete the account and hand over or cancel created sessions', async () => {
+      const res = await request(app)
+        .delete('/account')
+        .set('Authorization', bearer(ownerId));
+      expect(res.statusCode).toBe(200);
+
+      expect(await User.findById(ownerId)).toBeNull();
+
+      const shared = await Session.findById(ownedSessionId);
+      expect(shared.users.map(String)).toEqual([memberId]);
+      expect(shared.swipes).toHaveLength(1);
+      expect(shared.options[0].yesVotes).toBe(1);
+      expect(shared.createdBy.toString()).toBe(memberId);
+
+      const solo = await Session.findById(soloSessionId);
+      expect(solo.users).toHaveLength(0);
+      expect(solo.status).toBe('Cancelled');
+
+      const successor = await User.findById(memberId);
+      expect(successor.createdSessions.map(String)).toContain(ownedSessionId);
+    });
+
+    test('Should only hand created sessions over to full accounts', async () => {
+      const [owner, member] = await createUsers(2);
+      const guest = await createUser({ isGuest: true, userName: 'Guest' });
+      const { session } = await createSession({
+        createdBy: owner,
+        members: [guest],
+      });
+      const { session: mixed } = await createSession({
+        createdBy: owner,
+        members: [guest, member],
+      });
+
+      const res = await request(app)
+        .delete('/account')
+        .set('Authorization', bearer(owner._id));
+      expect(res.statusCode).toBe(200);
+
+      const cancelled = await Session.findById(session._id);
+      expect(cancelled.status).toBe('Cancelled');
+      expect(cancelled.createdBy.toString()).toBe(owner._id.toString());
+      expect(cancelled.users.map(String)).toEqual([guest._id.toString()]);
+
+      const handed = await Session.findById(mixed._id);
+      expect(handed.status).toBe('Active');
+      expect(handed.createdBy.toString()).toBe(member._id.toString());
+    });
+
+    test('Should complete sessions everyone left has finished', async () => {
+      const [creator, done, pending] = await createUsers(3);
+      const { session } = await createSession({
+        createdBy: creator,
+        members: [done, pending],
+        options: 2,
+        swipe: (user) => (user === pending ? undefined : 'yes'),
+      });
+
+      const res = await request(app)
+        .delete('/account')
+        .set('Authorization', bearer(pending._id));
+      expect(res.statusCode).toBe(200);
+
+      const completed = await Session.findById(session._id);
+      expect(completed.users.map(String)).not.toContain(pending._id.toString());
+      expect(completed.status).toBe('Completed');
+      expect(completed.result).toBeDefined();
+    });
+  });
 });
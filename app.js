@@ -0,0 +1,65 @@
+const express = require('express');
+const cors = require('cors');
+const mongoose = require('mongoose');
+const { createTokens } = require('./middleware/auth');
+const { errorHandler, notFoundHandler } = require('./middleware/errors');
+const { createRateLimiters } = require('./middleware/rateLimit');
+const { labelRoute, requestContext } = require('./middleware/requestContext');
+const { logger: defaultLogger } = require('./observability/logger');
+const { createMetrics } = require('./observability/metrics');
+const { createServices } = require('./services');
+const { createHandlers, createV1Router } = require('./routes/v1');
+const { createLegacyRouter } = require('./routes/legacy');
+const { createOpsRouter } = require('./routes/ops');
+const { buildOpenApiDocument } = require('./openapi');
+
+// Builds the Express app without connecting to the database or listening on
+// a port, so tests and scripts can create apps of their own. The models use
+// mongoose's default connection; `readinessDb` is the connection /readyz
+// reports on, which is that one unless a test swaps it. `config` holds the
+// app's settings: `inviteBaseUrl`, `corsOrigins` (the origins browsers may
+// call the API from), `bodyLimit`, `trustProxy`, `rateLimits` (see
+// middleware/rateLimit.js), `loginLockout`, and the `accessTokenSecret` and
+// `refreshTokenSecret` that tokens are signed and checked with. Requests are
+// logged through `logger`, and the app's metrics are exposed as
+// `app.locals.metrics`.
+const createApp = ({
+  readinessDb = mongoose.connection,
+  config = {},
+  logger = defaultLogger,
+} = {}) => {
+  const metrics = createMetrics();
+  const services = createServices({ config, metrics });
+  const limiters = createRateLimiters(config.rateLimits);
+
+  const app = express();
+  app.locals.tokens = createTokens(config);
+  app.locals.metrics = metrics;
+  app.locals.services = services;
+  if (config.trustProxy !== undefined) {
+    app.set('trust proxy', config.trustProxy);
+  }
+
+  app.use(requestContext({ logger, metrics }));
+  app.use(createOpsRouter({ db: readinessDb, metrics }));
+  app.use(cors({ origin: config.corsOrigins || [] }));
+  if (limiters.ip) {
+    app.use(limiters.ip);
+  }
+  app.use(express.json({ limit: config.bodyLimit || '100kb' }));
+
+  const openApiDocument = buildOpenApiDocument();
+  app.get('/api/v1/openapi.json', labelRoute, (req, res) => {
+    res.status(200).json(openApiDocument);
+  });
+
+  app.use('/api/v1', createV1Router(services, limiters));
+  app.use(createLegacyRouter(createHandlers(services), limiters));
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,127 @@
+const Joi = require('joi');
+
+const HOUR = 60 * 60 * 1000;
+
+// Every setting the server reads from its environment, by variable name.
+// Each maps to the config key it is loaded as.
+const VARIABLES = {
+  DB_STRING: {
+    key: 'dbUri',
+    schema: Joi.string()
+      .uri({ scheme: ['mongodb', 'mongodb+srv'] })
+      .required(),
+  },
+  PORT: { key: 'port', schema: Joi.number().port().default(3000) },
+  INVITE_BASE_URL: {
+    key: 'inviteBaseUrl',
+    schema: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .default('http://localhost:3000'),
+  },
+  // A comma-separated list, e.g. https://a.example,https://b.example
+  CORS_ORIGINS: {
+    key: 'corsOrigins',
+    schema: Joi.array()
+      .items(Joi.string().uri({ scheme: ['http', 'https'] }))
+      .default([]),
+  },
+  BODY_LIMIT: { key: 'bodyLimit', schema: Joi.string().default('100kb') },
+  TRUST_PROXY: {
+    key: 'trustProxy',
+    schema: Joi.alternatives().try(
+      Joi.boolean(),
+      Joi.number().integer().min(0),
+      Joi.string()
+    ),
+  },
+  // The secrets tokens are signed and checked with (see middleware/auth.js).
+  ACCESS_TOKEN_SECRET: {
+    key: 'accessTokenSecret',
+    schema: Joi.string().min(16).required(),
+  },
+  REFRESH_TOKEN_SECRET: {
+    key: 'refreshTokenSecret',
+    schema: Joi.string()
+      .min(16)
+      .invalid(Joi.ref('ACCESS_TOKEN_SECRET'))
+      .required()
+      .messages({
+        'any.invalid': '{{#label}} must differ from the access secret',
+      }),
+  },
+  SCHEDULER_INTERVAL_MS: {
+    key: 'schedulerIntervalMs',
+    schema: Joi.number()
+      .integer()
+      .min(1000)
+      .default(60 * 1000),
+  },
+  PENDING_SESSION_TTL_HOURS: {
+    key: 'pendingSessionTtlMs',
+    schema: Joi.number()
+      .positive()
+      .default(7 * 24),
+    toValue: (hours) => hours * HOUR,
+  },
+  DB_CONNECT_ATTEMPTS: {
+    key: 'dbConnectAttempts',
+    schema: Joi.number().integer().min(1).default(10),
+  },
+  SHUTDOWN_TIMEOUT_MS: {
+    key: 'shutdownTimeoutMs',
+    schema: Joi.number()
+      .integer()
+      .min(0)
+      .default(10 * 1000),
+  },
+};
+
+// Thrown when the environment doesn't hold a usable configuration; its
+// message lists every problem, one per line.
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems.map((p) => `  - ${p}`).join('\n')}`
+    );
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const splitList = (value) =>
+  value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Validates the environment and returns the config the server runs with,
+// keyed as in VARIABLES. Unset and empty variables take their defaults.
+// Scripts that need only some settings pass the variables to load as
+// `names`, so they don't require the rest.
+const loadConfig = (env = process.env, names = Object.keys(VARIABLES)) => {
+  const input = {};
+  names.forEach((name) => {
+    if (env[name] !== undefined && env[name] !== '') {
+      input[name] = name === 'CORS_ORIGINS' ? splitList(env[name]) : env[name];
+    }
+  });
+
+  const schema = Joi.object(
+    Object.fromEntries(names.map((name) => [name, VARIABLES[name].schema]))
+  );
+  const { value, error } = schema.validate(input, { abortEarly: false });
+  if (error) {
+    throw new ConfigError(error.details.map((detail) => detail.message));
+  }
+
+  return Object.freeze(
+    Object.fromEntries(
+      names.map((name) => {
+        const { key, toValue } = VARIABLES[name];
+        return [key, toValue ? toValue(value[name]) : value[name]];
+      })
+    )
+  );
+};
+
+module.exports = { ConfigError, VARIABLES, loadConfig };
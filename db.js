@@ -1,12 +1,46 @@
 const mongoose = require('mongoose');
+const { logger: defaultLogger } = require('./observability/logger');
 
-const connectDB = async () => {
-  try {
-    await mongoose.connect(process.env.DB_STRING);
-    console.log('connected to mongodb successfully');
-  } catch (error) {
-    console.error('MongoDB connection failed', error.message);
-    process.exit(1);
+const sleep = (ms) =>
+  new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+
+// Connects to MongoDB, retrying failed attempts with exponential backoff
+// (`initialDelayMs`, doubling up to `maxDelayMs`) so the server survives the
+// database starting after it. Rejects with the last error once `attempts`
+// have failed.
+const connectDB = async (
+  uri,
+  {
+    attempts = 10,
+    initialDelayMs = 1000,
+    maxDelayMs = 30 * 1000,
+    logger = defaultLogger,
+    connect = (dbUri) => mongoose.connect(dbUri),
+  } = {}
+) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await connect(uri);
+      logger.info('Connected to MongoDB', { attempt });
+      return;
+    } catch (error) {
+      if (attempt >= attempts) {
+        logger.error('MongoDB connection failed; giving up', {
+          attempt,
+          err: error,
+        });
+        throw error;
+      }
+      const delayMs = Math.min(initialDelayMs * 2 ** (attempt - 1), maxDelayMs);
+      logger.warn('MongoDB connection failed; retrying', {
+        attempt,
+        delayMs,
+        err: error,
+      });
+      await sleep(delayMs);
+    }
   }
 };
 
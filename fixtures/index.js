@@ -0,0 +1,238 @@
+// Factories that populate the database with realistic users, sessions,
+// options and swipes, for tests and local development. Documents are created
+// the way the services would leave them: creators list their sessions in
+// createdSessions, other members in joinedSessions, every session has a
+// default invite and option tallies match the recorded swipes.
+
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const Invite = require('../models/Invite');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// The password every fixture user with a password is given unless another
+// one is passed.
+const FIXTURE_PASSWORD = 'fixture-password';
+
+// Fixture accounts aren't worth the cost of a production-strength hash.
+const PASSWORD_ROUNDS = 4;
+
+const NAMES = [
+  'Alice',
+  'Bilal',
+  'Chen',
+  'Dana',
+  'Emeka',
+  'Freya',
+  'Gabriel',
+  'Hana',
+  'Ines',
+  'Jonas',
+  'Kavya',
+  'Luis',
+  'Mei',
+  'Noor',
+  'Oscar',
+  'Priya',
+];
+
+const TITLES = [
+  'Friday dinner',
+  'Movie night',
+  'Weekend trip',
+  'Team lunch',
+  'Board game evening',
+  'Sunday brunch',
+];
+
+const IDEAS = [
+  'Thai curry house',
+  'Neapolitan pizza',
+  'Ramen bar',
+  'Taco truck',
+  'Sushi counter',
+  'Burger joint',
+  'Cinema',
+  'Bowling',
+  'Escape room',
+  'Karaoke',
+  'Picnic in the park',
+  'Museum late opening',
+];
+
+// Unique per process, so factories can be called repeatedly against the same
+// database without clashing on email addresses.
+let sequence = 0;
+const nextSequence = () => {
+  sequence += 1;
+  return sequence;
+};
+
+// A small seeded generator (Park-Miller), so seeded data is reproducible.
+const seededRandom = (seed) => {
+  let state = (Math.abs(Math.floor(seed)) % 2147483646) + 1;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+};
+
+const pick = (items, random = Math.random) =>
+  items[Math.floor(random() * items.length)];
+
+// A fresh, unvoted option from a description or partial option.
+const buildOption = (option) => ({
+  optionId: uuidv4(),
+  yesVotes: 0,
+  noVotes: 0,
+  ...(typeof option === 'string' ? { description: option } : option),
+});
+
+// Creates a user. `password` is hashed when given (pass FIXTURE_PASSWORD to
+// log in as them); without one the user can't log in, as with the accounts
+// tests sign tokens for directly.
+const createUser = async ({ password, ...fields } = {}) => {
+  const n = nextSequence();
+  const name = fields.userName || NAMES[(n - 1) % NAMES.length];
+  const user = {
+    userName: `${name} ${n}`,
+    ...(fields.isGuest
+      ? {}
+      : {
+          email: `${name.toLowerCase().replace(/\W+/g, '.')}.${n}@example.com`,
+        }),
+    ...fields,
+  };
+  if (password) {
+    user.password = await bcrypt.hash(password, PASSWORD_ROUNDS);
+  }
+  return User.create(user);
+};
+
+const createUsers = (count, fields = {}) =>
+  Promise.all(Array.from({ length: count }, () => createUser(fields)));
+
+// Creates a session owned by `createdBy` (a user, created when omitted) with
+// `members` joined. `options` is a count of options to invent, or a list of
+// descriptions or partial options. `swipe(member, option)` returns the
+// member's action on the option, or undefined to leave it unswiped; tallies
+// are counted from the result. Completed sessions get their result frozen.
+// Resolves to the session and its default invite.
+const createSession = async ({
+  createdBy,
+  members = [],
+  options = 3,
+  swipe,
+  ...fields
+} = {}) => {
+  const creator = createdBy || (await createUser());
+  const offset = nextSequence();
+  const optionList =
+    typeof options === 'number'
+      ? Array.from(
+          { length: options },
+          (_, index) => IDEAS[(offset + index) % IDEAS.length]
+        )
+      : options;
+  const users = [creator, ...members];
+
+  const session = new Session({
+    title: pick(TITLES),
+    status: 'Active',
+    createdBy: creator._id,
+    users: users.map((user) => user._id),
+    options: optionList.map(buildOption),
+    ...fields,
+  });
+  if (swipe) {
+    session.swipes = users.map((user) => ({
+      userId: user._id,
+      optionSwipes: Object.fromEntries(
+        session.options
+          .map((option) => [option.optionId, swipe(user, option)])
+          .filter(([, action]) => action !== undefined)
+      ),
+    }));
+    session.recountVotes();
+  }
+  if (session.status === 'Completed' && !session.result) {
+    session.freezeResult();
+  }
+  await session.save();
+
+  await User.updateOne(
+    { _id: creator._id },
+    { $addToSet: { createdSessions: session._id } }
+  );
+  if (members.length > 0) {
+    await User.updateMany(
+      { _id: { $in: members.map((member) => member._id) } },
+      { $addToSet: { joinedSessions: session._id } }
+    );
+  }
+  const invite = await Invite.create({
+    session: session._id,
+    createdBy: creator._id,
+  });
+
+  return { session, invite };
+};
+
+// A `swipe` for createSession that answers yes, no or maybe at random and
+// leaves a share of options (`skipRate`) unswiped.
+const randomSwipe =
+  ({ random = Math.random, skipRate = 0 } = {}) =>
+  () => {
+    if (random() < skipRate) {
+      return undefined;
+    }
+    return pick(['yes', 'yes', 'no', 'maybe'], random);
+  };
+
+// Populates the database with `users` users, all with FIXTURE_PASSWORD, and
+// `sessions` sessions among them in a mix of statuses. The same `seed` gives
+// the same shape of data. Resolves to the users and sessions created.
+const seed = async ({ users = 12, sessions = 6, seed: seedValue = 1 } = {}) => {
+  const random = seededRandom(seedValue);
+  const createdUsers = await createUsers(users, {
+    password: FIXTURE_PASSWORD,
+  });
+
+  const statuses = ['Pending', 'Active', 'Active', 'Completed'];
+  const createdSessions = [];
+  for (let index = 0; index < sessions; index += 1) {
+    const shuffled = [...createdUsers].sort(() => random() - 0.5);
+    const [creator, ...others] = shuffled;
+    const members = others.slice(0, 1 + Math.floor(random() * 4));
+    const status = statuses[index % statuses.length];
+    const optionCount = 3 + Math.floor(random() * 4);
+    const ideas = [...IDEAS].sort(() => random() - 0.5).slice(0, optionCount);
+
+    const { session } = await createSession({
+      title: pick(TITLES, random),
+      createdBy: creator,
+      members,
+      options: ideas,
+      status,
+      swipe:
+        status === 'Pending'
+          ? undefined
+          : randomSwipe({
+              random,
+              skipRate: status === 'Active' ? 0.4 : 0,
+            }),
+    });
+    createdSessions.push(session);
+  }
+
+  return { users: createdUsers, sessions: createdSessions };
+};
+
+module.exports = {
+  FIXTURE_PASSWORD,
+  createUser,
+  createUsers,
+  createSession,
+  randomSwipe,
+  seed,
+};
@@ -0,0 +1,144 @@
+const jwt = require('jsonwebtoken');
+const { forbidden, unauthorized } = require('./errors');
+
+const ACCESS_TOKEN_EXPIRY = '15m';
+const REFRESH_TOKEN_EXPIRY = '7d';
+const GUEST_TOKEN_EXPIRY = '7d';
+
+// Signs and verifies tokens with `accessTokenSecret` and
+// `refreshTokenSecret` (see config.js). Apps and services built without them,
+// as in the tests, fall back to the ACCESS_TOKEN_SECRET and
+// REFRESH_TOKEN_SECRET environment variables.
+const createTokens = ({ accessTokenSecret, refreshTokenSecret } = {}) => {
+  const accessSecret = () =>
+    accessTokenSecret || process.env.ACCESS_TOKEN_SECRET;
+  const refreshSecret = () =>
+    refreshTokenSecret || process.env.REFRESH_TOKEN_SECRET;
+
+  return {
+    signAccessToken: (userId) =>
+      jwt.sign({ sub: String(userId), type: 'access' }, accessSecret(), {
+        expiresIn: ACCESS_TOKEN_EXPIRY,
+      }),
+
+    signRefreshToken: (userId) =>
+      jwt.sign({ sub: String(userId), type: 'refresh' }, refreshSecret(), {
+        expiresIn: REFRESH_TOKEN_EXPIRY,
+      }),
+
+    // Guests get a single long-lived token scoped to the session they
+    // joined; it is their only credential until they upgrade to a full
+    // account.
+    signGuestToken: (userId, sessionId) =>
+      jwt.sign(
+        { sub: String(userId), type: 'guest', session: String(sessionId) },
+        accessSecret(),
+        { expiresIn: GUEST_TOKEN_EXPIRY }
+      ),
+
+    // Returns the user ID carried by a refresh token, or null if it isn't
+    // valid.
+    verifyRefreshToken: (token) => {
+      try {
+        const payload = jwt.verify(token, refreshSecret());
+        return payload.type === 'refresh' ? payload.sub : null;
+      } catch {
+        return null;
+      }
+    },
+
+    // Returns the payload of an access or guest token, or null if it isn't
+    // valid.
+    verifyAccessToken: (token) => {
+      try {
+        const payload = jwt.verify(token, accessSecret());
+        return ['access', 'guest'].includes(payload.type) ? payload : null;
+      } catch {
+        return null;
+      }
+    },
+  };
+};
+
+const defaultTokens = createTokens();
+
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' ? token : undefined;
+};
+
+const authenticateWith =
+  (getToken, { allowGuests = false } = {}) =>
+  (req, res, next) => {
+    const token = getToken(req);
+
+    if (!token) {
+      return next(unauthorized('Authentication token is required'));
+    }
+
+    // createApp keeps the tokens made from its config in app.locals.
+    const { verifyAccessToken } = req.app.locals.tokens || defaultTokens;
+    const payload = verifyAccessToken(token);
+    if (!payload) {
+      return next(unauthorized('Invalid or expired token'));
+    }
+
+    if (payload.type === 'guest' && !allowGuests) {
+      return next(
+        forbidden(
+          'Guests can only take part in the session they joined; ' +
+            'upgrade to a full account first'
+        )
+      );
+    }
+
+    // A guest token only works for the session it was issued for, whatever
+    // the services would let its user see.
+    if (
+      payload.type === 'guest' &&
+      req.params.id !== undefined &&
+      req.params.id !== payload.session
+    ) {
+      return next(
+        forbidden('Guest tokens only work for the session they joined')
+      );
+    }
+
+    req.userId = payload.sub;
+    return next();
+  };
+
+// Resolves the acting user from the bearer access token and exposes it as
+// req.userId, so handlers never trust a user ID sent in the request body.
+const authenticate = authenticateWith(bearerToken);
+
+// Same as authenticate, but also accepts guest tokens, for the routes guests
+// may use. Guest tokens are refused for any session (the `id` path parameter)
+// other than the one they were issued for.
+const authenticateGuest = authenticateWith(bearerToken, { allowGuests: true });
+
+// Same as authenticateGuest, but also accepts the token as a `token` query
+// parameter because browser EventSource connections can't set headers.
+const authenticateStream = authenticateWith(
+  (req) => bearerToken(req) || req.query.token,
+  { allowGuests: true }
+);
+
+const {
+  signAccessToken,
+  signGuestToken,
+  signRefreshToken,
+  verifyRefreshToken,
+} = defaultTokens;
+
+module.exports = {
+  authenticate,
+  authenticateGuest,
+  authenticateStream,
+  createTokens,
+  signAccessToken,
+  signGuestToken,
+  signRefreshToken,
+  verifyRefreshToken,
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { logger } = require('../observability/logger');
+
+// An error that maps directly onto an HTTP response. `code` is a stable,
+// machine-readable identifier clients can branch on; `message` is for humans.
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const badRequest = (message) => new ApiError(400, 'BAD_REQUEST', message);
+const invalidState = (message) => new ApiError(400, 'INVALID_STATE', message);
+const unauthorized = (message) => new ApiError(401, 'UNAUTHORIZED', message);
+const forbidden = (message) => new ApiError(403, 'FORBIDDEN', message);
+const notFound = (message) => new ApiError(404, 'NOT_FOUND', message);
+const conflict = (message) => new ApiError(409, 'CONFLICT', message);
+const limitExceeded = (message) => new ApiError(409, 'LIMIT_EXCEEDED', message);
+const gone = (message) => new ApiError(410, 'GONE', message);
+
+// `retryAfter` is the number of seconds until the client may try again; it
+// is sent as the Retry-After header.
+const tooManyRequests = (message, retryAfter) => {
+  const error = new ApiError(429, 'RATE_LIMITED', message);
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+// Lets async handlers throw (or reject) instead of sending error responses.
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+const toApiError = (err) => {
+  if (err instanceof ApiError) {
+    return err;
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(400, 'INVALID_ID', `Invalid ${err.path}`);
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map((fieldError) => ({
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+    return new ApiError(400, 'VALIDATION_ERROR', details[0].message, details);
+  }
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || {});
+    return new ApiError(
+      409,
+      'CONFLICT',
+      fields.length > 0
+        ? `${fields.join(', ')} already taken`
+        : 'Resource already exists'
+    );
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+  return new ApiError(500, 'INTERNAL_ERROR', 'Server error');
+};
+
+const notFoundHandler = (req, res, next) => {
+  next(
+    new ApiError(
+      404,
+      'ROUTE_NOT_FOUND',
+      `Route ${req.method} ${req.path} doesn't exist`
+    )
+  );
+};
+
+// Central error middleware: every error leaves the API as
+// { error: <message>, code: <CODE>, details?: [...] }.
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) {
+    (req.log || logger).error('Request failed', {
+      method: req.method,
+      path: req.path,
+      err,
+    });
+  }
+
+  if (apiError.retryAfter !== undefined) {
+    res.set('Retry-After', String(apiError.retryAfter));
+  }
+
+  const body = { error: apiError.message, code: apiError.code };
+  if (apiError.details) {
+    body.details = apiError.details;
+  }
+  return res.status(apiError.status).json(body);
+};
+
+module.exports = {
+  ApiError,
+  asyncHandler,
+  badRequest,
+  conflict,
+  errorHandler,
+  forbidden,
+  gone,
+  invalidState,
+  limitExceeded,
+  notFound,
+  notFoundHandler,
+  tooManyRequests,
+  unauthorized,
+};
@@ -0,0 +1,163 @@
+const { asyncHandler, tooManyRequests } = require('./errors');
+
+// Rate limits count hits per key in fixed windows kept in a store. A store
+// has two async methods, modelled on Redis' INCR and DEL:
+//
+//   increment(key, windowMs) -> { count, resetAt }
+//     Counts a hit on `key`, starting a new window of `windowMs` if none is
+//     open, and returns the hits in the window and when it ends (ms epoch).
+//   reset(key)
+//     Forgets the key's hits.
+//
+// MemoryStore keeps the counts in this process; RedisStore shares them
+// between instances.
+
+// Expired windows are swept at most this often as keys are incremented.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.nextSweepAt = 0;
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count += 1;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  sweep(now) {
+    if (now < this.nextSweepAt) {
+      return;
+    }
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+    this.nextSweepAt = now + SWEEP_INTERVAL_MS;
+  }
+}
+
+// Keeps the counts in Redis through a connected node-redis (v4) client. The
+// window starts with the first hit: the key is created with an expiry only
+// if it doesn't exist yet, then incremented.
+class RedisStore {
+  constructor({ client, prefix = 'rate-limit:' }) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async increment(key, windowMs) {
+    const redisKey = this.prefix + key;
+    const [, count, ttl] = await this.client
+      .multi()
+      .set(redisKey, '0', { PX: windowMs, NX: true })
+      .incr(redisKey)
+      .pTTL(redisKey)
+      .exec();
+    return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+  }
+
+  async reset(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+// Allows `max` requests per `windowMs` for each key `keyOf` returns (the
+// client's IP by default); requests it returns no key for aren't counted.
+// Every counted response carries RateLimit-* headers, and requests over the
+// limit fail with 429 and a Retry-After header.
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyOf = (req) => req.ip,
+  store = new MemoryStore(),
+}) =>
+  asyncHandler(async (req, res, next) => {
+    const key = keyOf(req);
+    if (!key) {
+      return next();
+    }
+
+    const { count, resetAt } = await store.increment(
+      `${name}:${key}`,
+      windowMs
+    );
+    const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - count, 0)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (count > max) {
+      throw tooManyRequests(
+        'Too many requests, please try again later',
+        resetSeconds
+      );
+    }
+    return next();
+  });
+
+const DEFAULT_RATE_LIMITS = {
+  // Every request, per client IP.
+  ip: { windowMs: 60 * 1000, max: 300 },
+  // Every authenticated request, per user.
+  user: { windowMs: 60 * 1000, max: 120 },
+  // Routes that create an identity (sign-ups and guests), per client IP.
+  signup: { windowMs: 60 * 60 * 1000, max: 20 },
+};
+
+// Builds the app's limiters, keyed by policy name, from `config` (the
+// `rateLimits` setting): `store` replaces the in-memory store, and each
+// policy's `windowMs` and `max` can be overridden. `false` turns rate
+// limiting off.
+const createRateLimiters = (config = {}) => {
+  if (config === false) {
+    return {};
+  }
+
+  const { store = new MemoryStore(), ...overrides } = config;
+  const keyOf = { user: (req) => req.userId };
+  return Object.fromEntries(
+    Object.entries(DEFAULT_RATE_LIMITS).map(([name, defaults]) => [
+      name,
+      rateLimit({
+        name,
+        store,
+        keyOf: keyOf[name],
+        ...defaults,
+        ...overrides[name],
+      }),
+    ])
+  );
+};
+
+// The limiters a route runs before and after authentication: the policy it
+// names in `rateLimit`, then the per-user limit if it authenticates.
+const routeLimiters = (route, limiters) => ({
+  before: route.rateLimit && limiters[route.rateLimit],
+  after: route.auth && limiters.user,
+});
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createRateLimiters,
+  rateLimit,
+  routeLimiters,
+};
@@ -0,0 +1,51 @@
+const { randomUUID } = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Request IDs sent by a proxy or client are reused if they look sane, so
+// logs can be correlated across services.
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Gives each request an ID (echoed in the X-Request-Id response header) and
+// a logger that tags every line with it as `req.log`. Once the response is
+// sent, logs an access line and records its latency under the route that
+// handled it.
+const requestContext =
+  ({ logger, metrics }) =>
+  (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id =
+      incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const route = res.locals.route || 'unmatched';
+      metrics.httpRequestDuration.observe(
+        { method: req.method, route, status: res.statusCode },
+        durationMs / 1000
+      );
+      // The query string is left out because it can carry access tokens.
+      req.log.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 1000) / 1000,
+        userId: req.userId,
+      });
+    });
+
+    next();
+  };
+
+// Records the matched route's pattern (e.g. /api/v1/sessions/:id) for the
+// access log and metrics, keeping their labels to one per route.
+const labelRoute = (req, res, next) => {
+  res.locals.route = req.baseUrl + req.route.path;
+  next();
+};
+
+module.exports = { REQUEST_ID_HEADER, labelRoute, requestContext };
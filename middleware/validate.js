@@ -0,0 +1,44 @@
+const { ApiError } = require('./errors');
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } },
+};
+
+// Validates req.params, req.query and req.body against the given Joi schemas,
+// replacing each with its validated (and type-converted) value.
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  ['params', 'query', 'body'].forEach((location) => {
+    if (!schemas[location]) {
+      return;
+    }
+
+    const { value, error } = schemas[location].validate(
+      req[location] || {},
+      VALIDATION_OPTIONS
+    );
+    if (error) {
+      error.details.forEach((detail) => {
+        details.push({
+          field: detail.path.join('.') || null,
+          location,
+          message: detail.message,
+        });
+      });
+    } else {
+      req[location] = value;
+    }
+  });
+
+  if (details.length > 0) {
+    return next(
+      new ApiError(400, 'VALIDATION_ERROR', details[0].message, details)
+    );
+  }
+  return next();
+};
+
+module.exports = validate;
@@ -0,0 +1,24 @@
+// Accounts created before passwords were stored, or before guests and login
+// lockouts existed, are missing the fields those features added. Give them
+// their defaults explicitly; an account without a password gets `null` and
+// can't log in until one is set.
+module.exports = {
+  description: 'Backfill password, isGuest and lockout fields on users',
+
+  async up({ db }) {
+    const users = db.collection('users');
+    const defaults = {
+      password: null,
+      isGuest: false,
+      failedLogins: 0,
+      lockedUntil: null,
+    };
+
+    for (const [field, value] of Object.entries(defaults)) {
+      await users.updateMany(
+        { [field]: { $exists: false } },
+        { $set: { [field]: value } }
+      );
+    }
+  },
+};
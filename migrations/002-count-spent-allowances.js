@@ -0,0 +1,37 @@
+// Sessions created before superlike and veto allowances have no `allowances`,
+// and their members' swipes no `spent` counts, which allowances are checked
+// against atomically. Give them the default allowances and count what each
+// member has already spent from their recorded swipes.
+const LIMITED_ACTIONS = ['superlike', 'veto'];
+
+module.exports = {
+  description: 'Backfill session allowances and per-member spent counts',
+
+  async up({ db }) {
+    const sessions = db.collection('sessions');
+
+    await sessions.updateMany(
+      { allowances: { $exists: false } },
+      { $set: { allowances: { superlike: 1, veto: 1 } } }
+    );
+
+    const uncounted = sessions.find({
+      swipes: { $elemMatch: { spent: { $exists: false } } },
+    });
+    for await (const session of uncounted) {
+      const swipes = session.swipes.map((swipe) => {
+        const actions = Object.values(swipe.optionSwipes || {});
+        return {
+          ...swipe,
+          spent: Object.fromEntries(
+            LIMITED_ACTIONS.map((action) => [
+              action,
+              actions.filter((swiped) => swiped === action).length,
+            ])
+          ),
+        };
+      });
+      await sessions.updateOne({ _id: session._id }, { $set: { swipes } });
+    }
+  },
+};
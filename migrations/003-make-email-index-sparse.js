@@ -0,0 +1,25 @@
+// Guests have no email, so the unique index on it must skip users without
+// one. Databases created before guests have a non-sparse `email_1` index,
+// which mongoose won't replace since only its options changed; under it the
+// second guest fails as a duplicate. Rebuild it as sparse.
+module.exports = {
+  description: 'Rebuild the unique email index on users as sparse',
+
+  async up({ db }) {
+    const users = db.collection('users');
+    const hasUsers = await db.listCollections({ name: 'users' }).hasNext();
+    const indexes = hasUsers ? await users.indexes() : [];
+    const existing = indexes.find(({ name }) => name === 'email_1');
+
+    if (existing && existing.sparse) {
+      return;
+    }
+    if (existing) {
+      await users.dropIndex('email_1');
+    }
+    await users.createIndex(
+      { email: 1 },
+      { name: 'email_1', unique: true, sparse: true }
+    );
+  },
+};
@@ -0,0 +1,102 @@
+// Versioned schema migrations. Each migration is a file in this directory
+// named `<version>-<name>.js` exporting a `description` and an async
+// `up({ db, connection })`, where `db` is the native driver's database.
+// Migrations work on the raw collections rather than the models, since the
+// models describe the schema as it is now rather than as the migration found
+// it. Applied migrations are recorded in the `migrations` collection.
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+const { logger: defaultLogger } = require('../observability/logger');
+
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+// Loads the migrations in `dir`, ordered by version.
+const loadMigrations = (dir = __dirname) => {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: Number(version),
+      name,
+      ...require(path.join(dir, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+};
+
+// Resolves to each migration with when it was applied (null if pending).
+const migrationStatus = async ({ migrations = loadMigrations() } = {}) => {
+  const records = await Migration.find().lean();
+  const byVersion = new Map(records.map((record) => [record.version, record]));
+
+  return migrations.map(({ version, name, description }) => ({
+    version,
+    name,
+    description,
+    appliedAt: byVersion.has(version) ? byVersion.get(version).appliedAt : null,
+  }));
+};
+
+// Applies the pending migrations up to and including version `to` (all of
+// them by default) in order, recording each as it completes. Stops at the
+// first that fails, leaving it pending, so migrations should be safe to run
+// again after a partial failure. Resolves to the migrations applied.
+const migrate = async ({
+  migrations = loadMigrations(),
+  to = Infinity,
+  connection = mongoose.connection,
+  logger = defaultLogger,
+} = {}) => {
+  await Migration.init();
+  const records = await Migration.find().lean();
+  const running = records.find((record) => record.appliedAt === null);
+  if (running) {
+    throw new Error(
+      `Migration ${running.version}-${running.name} is being applied ` +
+        `(started ${running.startedAt.toISOString()}); if that run died, ` +
+        'delete its record from the migrations collection and try again'
+    );
+  }
+  const applied = new Set(records.map((record) => record.version));
+
+  const pending = migrations.filter(
+    ({ version }) => version <= to && !applied.has(version)
+  );
+  for (const migration of pending) {
+    const { version, name } = migration;
+    try {
+      await Migration.create({ version, name, startedAt: new Date() });
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new Error(
+          `Migration ${version}-${name} is already being applied`
+        );
+      }
+      throw err;
+    }
+
+    logger.info('Applying migration', { version, name });
+    try {
+      await migration.up({ db: connection.db, connection });
+    } catch (err) {
+      await Migration.deleteOne({ version });
+      logger.error('Migration failed', { version, name, err });
+      throw err;
+    }
+    await Migration.updateOne({ version }, { appliedAt: new Date() });
+  }
+
+  return pending;
+};
+
+module.exports = { loadMigrations, migrationStatus, migrate };
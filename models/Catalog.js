@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const CatalogItemSchema = require('./CatalogItem');
+
+const CatalogSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    description: { type: String, default: '' },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Public catalogs can be browsed and used by everyone, but only changed
+    // by their owner.
+    isPublic: { type: Boolean, default: false },
+    items: [CatalogItemSchema],
+  },
+  { timestamps: true }
+);
+
+// Catalogs the user may see: their own and every public one.
+CatalogSchema.statics.visibleTo = function visibleTo(userId) {
+  return { $or: [{ owner: userId }, { isPublic: true }] };
+};
+
+CatalogSchema.methods.isOwner = function isOwner(userId) {
+  return this.owner.equals(String(userId));
+};
+
+module.exports = mongoose.model('Catalog', CatalogSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// A reusable choice, such as "cinema", kept in catalogs and templates and
+// copied into sessions as an option.
+const CatalogItemSchema = new mongoose.Schema({
+  itemId: { type: String, required: true, default: uuidv4 },
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  imageUrl: { type: String, default: null },
+  tags: [String],
+});
+
+module.exports = CatalogItemSchema;
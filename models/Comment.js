@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A member's comment in a session's discussion: in the session's thread, or
+// on one option when `optionId` is set. Deleted comments keep their place in
+// the discussion, without their text, so pages don't shift under readers.
+const CommentSchema = new mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      required: true,
+    },
+    optionId: { type: String, default: null },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    text: {
+      type: String,
+      required() {
+        return !this.deletedAt;
+      },
+    },
+    editedAt: { type: Date, default: null },
+    deletedAt: { type: Date, default: null },
+    // The author, or the session creator when they removed someone else's.
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+// Paging through the session's thread or one option's comments.
+CommentSchema.index({ session: 1, optionId: 1, _id: -1 });
+
+CommentSchema.methods.isAuthor = function isAuthor(userId) {
+  return this.author.equals(String(userId));
+};
+
+module.exports = mongoose.model('Comment', CommentSchema);
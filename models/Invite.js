@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const InviteSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomBytes(24).toString('base64url'),
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      required: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    expiresAt: { type: Date, default: null },
+    maxUses: { type: Number, min: 1, default: null },
+    uses: { type: Number, default: 0 },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Listing a session's invites.
+InviteSchema.index({ session: 1 });
+
+// Explains why the invite can no longer be used, or returns null if it can.
+InviteSchema.methods.unusableReason = function unusableReason(
+  now = new Date()
+) {
+  if (this.revokedAt) {
+    return 'Invite has been revoked';
+  }
+  if (this.expiresAt && this.expiresAt <= now) {
+    return 'Invite has expired';
+  }
+  if (this.maxUses !== null && this.uses >= this.maxUses) {
+    return 'Invite has reached its maximum number of uses';
+  }
+  return null;
+};
+
+// Atomically counts one use of the invite, resolving to false when it was
+// revoked, expired or used up in the meantime.
+InviteSchema.statics.claim = async function claim(inviteId, now = new Date()) {
+  const claimed = await this.findOneAndUpdate(
+    {
+      _id: inviteId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        {
+          $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }],
+        },
+      ],
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+  return claimed !== null;
+};
+
+module.exports = mongoose.model('Invite', InviteSchema);
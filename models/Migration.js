@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// A schema migration that has been applied, or is being applied while
+// `appliedAt` is null. The unique version stops two processes applying the
+// same migration at once.
+const MigrationSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  name: { type: String, required: true },
+  startedAt: { type: Date, required: true },
+  appliedAt: { type: Date, default: null },
+});
+
+module.exports = mongoose.model('Migration', MigrationSchema);
@@ -1,5 +1,23 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const {
+  DECISION_RULE_NAMES,
+  LIMITED_ACTIONS,
+  SWIPE_ACTIONS,
+  decide,
+} = require('../results/decisionRules');
+
+// The decision as it stood when the session was completed.
+const FrozenResultSchema = new mongoose.Schema(
+  {
+    rule: String,
+    winners: [String],
+    tallies: [mongoose.Schema.Types.Mixed],
+    decidedAt: Date,
+  },
+  { _id: false }
+);
 
 const SessionSchema = new mongoose.Schema(
   {
@@ -7,12 +25,21 @@ const SessionSchema = new mongoose.Schema(
     title: { type: String, required: true },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Members the creator has allowed to manage options and start the session.
+    coHosts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     options: [
       {
         optionId: String,
         description: String,
+        // Set when the option was copied from a catalog item or template.
+        details: String,
+        imageUrl: String,
+        tags: { type: [String], default: undefined },
         yesVotes: Number,
         noVotes: Number,
+        maybeVotes: { type: Number, default: 0 },
+        superlikeVotes: { type: Number, default: 0 },
+        vetoVotes: { type: Number, default: 0 },
       },
     ],
     status: {
@@ -20,6 +47,26 @@ const SessionSchema = new mongoose.Schema(
       enum: ['Pending', 'Active', 'Completed', 'Cancelled'],
       default: 'Pending',
     },
+    decisionRule: {
+      type: String,
+      enum: DECISION_RULE_NAMES,
+      default: 'unanimous',
+    },
+    // Fraction of members that must say yes under the quorum rule.
+    quorum: { type: Number, min: 0, max: 1, default: 0.5 },
+    // When false, members may keep swiping (and undoing) after the session
+    // is completed, which can change its result.
+    lockVotesOnComplete: { type: Boolean, default: true },
+    // When set, the scheduler starts the session at `autoStartAt` and
+    // completes it once `swipeDeadline` passes.
+    autoStartAt: { type: Date, default: null },
+    swipeDeadline: { type: Date, default: null },
+    result: { type: FrozenResultSchema, default: null },
+    // How many superlikes and vetoes each member may use in the session.
+    allowances: {
+      superlike: { type: Number, min: 0, default: 1 },
+      veto: { type: Number, min: 0, default: 1 },
+    },
     swipes: [
       {
         userId: {
@@ -31,10 +78,387 @@ const SessionSchema = new mongoose.Schema(
           type: Map,
           of: String,
         },
+        // How many of the member's swipes use each limited action, kept in
+        // step with `optionSwipes` so allowances can be checked atomically.
+        spent: {
+          superlike: { type: Number, default: 0 },
+          veto: { type: Number, default: 0 },
+        },
       },
     ],
   },
   { timestamps: true }
 );
 
+// Membership and ownership lookups, and the scheduler's sweeps, which pick
+// sessions by status and then by a date (these also serve status-only
+// queries).
+SessionSchema.index({ users: 1 });
+SessionSchema.index({ createdBy: 1 });
+SessionSchema.index({ status: 1, autoStartAt: 1 });
+SessionSchema.index({ status: 1, swipeDeadline: 1 });
+SessionSchema.index({ status: 1, updatedAt: 1 });
+
+// Statuses each status may move to; Completed and Cancelled are final.
+const STATUS_TRANSITIONS = {
+  Pending: ['Active', 'Cancelled'],
+  Active: ['Completed', 'Cancelled'],
+  Completed: [],
+  Cancelled: [],
+};
+
+SessionSchema.methods.canTransitionTo = function canTransitionTo(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Stores the result under the decision rule as it stands, so that later
+// changes to swipes or the rule don't alter a completed session's outcome.
+SessionSchema.methods.freezeResult = function freezeResult(at = new Date()) {
+  const { rule, winners, results } = decide(this);
+  this.result = { rule, winners, tallies: results, decidedAt: at };
+};
+
+// Statuses in which members may swipe or undo a swipe.
+SessionSchema.methods.swipeStatuses = function swipeStatuses() {
+  return this.lockVotesOnComplete ? ['Active'] : ['Active', 'Completed'];
+};
+
+SessionSchema.methods.isMember = function isMember(userId) {
+  return this.users.some((member) => member.equals(String(userId)));
+};
+
+SessionSchema.methods.isCreator = function isCreator(userId) {
+  return Boolean(this.createdBy && this.createdBy.equals(String(userId)));
+};
+
+SessionSchema.methods.canManage = function canManage(userId) {
+  return (
+    this.isCreator(userId) ||
+    this.coHosts.some((coHost) => coHost.equals(String(userId)))
+  );
+};
+
+// True once every member has swiped on every option in the session.
+SessionSchema.methods.hasEveryoneSwiped = function hasEveryoneSwiped() {
+  if (this.options.length === 0 || this.users.length === 0) {
+    return false;
+  }
+
+  return this.users.every((userId) => {
+    const userSwipe = this.swipes.find((swipe) => swipe.userId.equals(userId));
+    return (
+      userSwipe &&
+      this.options.every((option) =>
+        userSwipe.optionSwipes.has(option.optionId)
+      )
+    );
+  });
+};
+
+// Aggregate swipe counts that are safe to share with every member.
+SessionSchema.methods.swipeProgress = function swipeProgress() {
+  const optionIds = this.options.map((option) => option.optionId);
+  let swiped = 0;
+  let membersFinished = 0;
+
+  this.users.forEach((userId) => {
+    const userSwipe = this.swipes.find((swipe) => swipe.userId.equals(userId));
+    const count = userSwipe
+      ? optionIds.filter((optionId) => userSwipe.optionSwipes.has(optionId))
+          .length
+      : 0;
+    swiped += count;
+    if (optionIds.length > 0 && count === optionIds.length) {
+      membersFinished += 1;
+    }
+  });
+
+  return {
+    swiped,
+    total: optionIds.length * this.users.length,
+    membersFinished,
+    memberCount: this.users.length,
+  };
+};
+
+// The options the member hasn't swiped on yet, shuffled deterministically per
+// session and member: each member always sees the same order, and options
+// added mid-session slot into it without reshuffling the rest.
+SessionSchema.methods.optionQueue = function optionQueue(userId) {
+  const userSwipe = this.swipes.find((swipe) => swipe.userId.equals(userId));
+  const rank = (option) =>
+    crypto
+      .createHash('sha256')
+      .update(`${this._id}:${userId}:${option.optionId}`)
+      .digest('hex');
+
+  return this.options
+    .filter(
+      (option) => !userSwipe || !userSwipe.optionSwipes.has(option.optionId)
+    )
+    .map((option) => ({ option, rank: rank(option) }))
+    .sort((a, b) => (a.rank < b.rank ? -1 : 1))
+    .map(({ option }) => option);
+};
+
+// True when every member said yes (or superliked) to the option.
+SessionSchema.methods.isUnanimous = function isUnanimous(optionId) {
+  const yesCount = this.swipes.filter((swipe) =>
+    ['yes', 'superlike'].includes(swipe.optionSwipes.get(optionId))
+  ).length;
+  return this.users.length > 0 && yesCount === this.users.length;
+};
+
+// How many more superlikes and vetoes the member may use.
+SessionSchema.methods.remainingAllowances = function remainingAllowances(
+  userId
+) {
+  const userSwipe = this.swipes.find((swipe) => swipe.userId.equals(userId));
+  return Object.fromEntries(
+    LIMITED_ACTIONS.map((action) => [
+      action,
+      Math.max(
+        0,
+        this.allowances[action] - (userSwipe ? userSwipe.spent[action] : 0)
+      ),
+    ])
+  );
+};
+
+// Rebuilds each option's per-action tallies, and what each member has spent
+// of their allowances, from the recorded swipes.
+SessionSchema.methods.recountVotes = function recountVotes() {
+  this.options.forEach((option) => {
+    const actions = this.swipes.map((swipe) =>
+      swipe.optionSwipes.get(option.optionId)
+    );
+    SWIPE_ACTIONS.forEach((action) => {
+      option[`${action}Votes`] = actions.filter(
+        (swiped) => swiped === action
+      ).length;
+    });
+  });
+
+  this.swipes.forEach((swipe) => {
+    const actions = [...swipe.optionSwipes.values()];
+    LIMITED_ACTIONS.forEach((action) => {
+      swipe.spent[action] = actions.filter(
+        (swiped) => swiped === action
+      ).length;
+    });
+  });
+};
+
+// Drops a member and their swipes so tallies only reflect current members.
+// This rewrites every swipe when saved; use the `dropMember` static while
+// other members may be swiping.
+SessionSchema.methods.removeMember = function removeMember(userId) {
+  this.users.pull(userId);
+  this.coHosts.pull(userId);
+  this.swipes = this.swipes.filter((swipe) => !swipe.userId.equals(userId));
+  this.recountVotes();
+};
+
+const MAX_SWIPE_ATTEMPTS = 5;
+
+// Matches sessions whose swipe deadline, if they have one, hasn't passed.
+const beforeDeadline = (now = new Date()) => ({
+  $or: [{ swipeDeadline: null }, { swipeDeadline: { $gt: now } }],
+});
+
+// Changes one member's action on one option from `from` to `to` (either may be
+// undefined, meaning not swiped) without rewriting the rest of the session,
+// so concurrent swipes from other members can't overwrite it. The option's
+// tallies, and what the member has spent of `limits` (their allowances), are
+// adjusted in the same update. Resolves to the updated session, or to null if
+// the member's action is no longer `from`, `to` would go over its limit, they
+// left, the session's status isn't one of `statuses` or its swipe deadline
+// has passed.
+SessionSchema.statics.replaceSwipe = async function replaceSwipe(
+  sessionId,
+  userId,
+  optionId,
+  { from, to, statuses = ['Active'], limits = {} }
+) {
+  const memberId = new mongoose.Types.ObjectId(String(userId));
+  const swipePath = `optionSwipes.${optionId}`;
+  const swipeMatch = {
+    userId: memberId,
+    [swipePath]: from === undefined ? { $exists: false } : from,
+  };
+
+  const update = {};
+  const counts = {};
+  if (to === undefined) {
+    update.$unset = { [`swipes.$[swipe].${swipePath}`]: '' };
+  } else {
+    update.$set = { [`swipes.$[swipe].${swipePath}`]: to };
+    counts[`options.$[option].${to}Votes`] = 1;
+  }
+  if (from !== undefined) {
+    counts[`options.$[option].${from}Votes`] = -1;
+  }
+  if (LIMITED_ACTIONS.includes(to)) {
+    if (limits[to] !== undefined) {
+      swipeMatch[`spent.${to}`] = { $not: { $gte: limits[to] } };
+    }
+    counts[`swipes.$[swipe].spent.${to}`] = 1;
+  }
+  if (LIMITED_ACTIONS.includes(from)) {
+    counts[`swipes.$[swipe].spent.${from}`] = -1;
+  }
+  if (Object.keys(counts).length > 0) {
+    update.$inc = counts;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      status: { $in: statuses },
+      users: memberId,
+      swipes: { $elemMatch: swipeMatch },
+      ...beforeDeadline(),
+    },
+    update,
+    {
+      new: true,
+      arrayFilters: [
+        { 'swipe.userId': memberId },
+        { 'option.optionId': optionId },
+      ],
+    }
+  );
+};
+
+// Records one member's swipe on one option. Resolves to the updated session
+// and the member's previous action (with `limitReached` set, and nothing
+// changed, if the member has used up their allowance of `action`), or to null
+// if the session's status isn't one of `statuses`, its swipe deadline has
+// passed or the member left it.
+SessionSchema.statics.recordSwipe = async function recordSwipe(
+  sessionId,
+  userId,
+  optionId,
+  action,
+  { statuses = ['Active'], limits = {} } = {}
+) {
+  const memberId = new mongoose.Types.ObjectId(String(userId));
+
+  // Give the member an (empty) swipe entry unless one already exists.
+  await this.updateOne(
+    { _id: sessionId, users: memberId, 'swipes.userId': { $ne: memberId } },
+    { $push: { swipes: { userId: memberId, optionSwipes: {} } } }
+  );
+
+  for (let attempt = 0; attempt < MAX_SWIPE_ATTEMPTS; attempt += 1) {
+    const current = await this.findOne({
+      _id: sessionId,
+      status: { $in: statuses },
+      users: memberId,
+      ...beforeDeadline(),
+    });
+    if (!current) {
+      return null;
+    }
+
+    const userSwipe = current.swipes.find((swipe) =>
+      swipe.userId.equals(memberId)
+    );
+    const previous = userSwipe.optionSwipes.get(optionId);
+    if (previous === action) {
+      return { session: current, previous };
+    }
+    if (
+      LIMITED_ACTIONS.includes(action) &&
+      userSwipe.spent[action] >= limits[action]
+    ) {
+      return { session: current, previous, limitReached: true };
+    }
+
+    // Only applies if the member's previous action is still the one read
+    // above; otherwise another request got there first and we retry.
+    const updated = await this.replaceSwipe(sessionId, userId, optionId, {
+      from: previous,
+      to: action,
+      statuses,
+      limits,
+    });
+    if (updated) {
+      return { session: updated, previous };
+    }
+  }
+
+  throw new Error(
+    `Could not record swipe after ${MAX_SWIPE_ATTEMPTS} attempts`
+  );
+};
+
+// Removes a member, their swipes and their votes from the option tallies in
+// one update, so swipes other members record meanwhile are kept. The update
+// only applies if the member's swipes are still the ones read beforehand;
+// otherwise it is retried. Resolves to the updated session and whether the
+// member had a swipe entry, or to null if they aren't a member.
+SessionSchema.statics.dropMember = async function dropMember(
+  sessionId,
+  userId
+) {
+  const memberId = new mongoose.Types.ObjectId(String(userId));
+
+  for (let attempt = 0; attempt < MAX_SWIPE_ATTEMPTS; attempt += 1) {
+    const current = await this.findOne(
+      { _id: sessionId, users: memberId },
+      { swipes: { $elemMatch: { userId: memberId } } }
+    ).lean();
+    if (!current) {
+      return null;
+    }
+
+    const [userSwipe] = current.swipes || [];
+    const actions = Object.entries((userSwipe && userSwipe.optionSwipes) || {});
+    const update = {
+      $pull: {
+        users: memberId,
+        coHosts: memberId,
+        swipes: { userId: memberId },
+      },
+    };
+    const arrayFilters = actions.map(([optionId], index) => ({
+      [`option${index}.optionId`]: optionId,
+    }));
+    if (actions.length > 0) {
+      update.$inc = Object.fromEntries(
+        actions.map(([, action], index) => [
+          `options.$[option${index}].${action}Votes`,
+          -1,
+        ])
+      );
+    }
+
+    // An embedded document only matches if it is stored exactly as read,
+    // so this fails if the member swiped in the meantime.
+    const swipeMatch = userSwipe
+      ? {
+          swipes: {
+            $elemMatch: {
+              userId: memberId,
+              optionSwipes: userSwipe.optionSwipes || { $exists: false },
+            },
+          },
+        }
+      : { 'swipes.userId': { $ne: memberId } };
+    const updated = await this.findOneAndUpdate(
+      { _id: sessionId, users: memberId, ...swipeMatch },
+      update,
+      { new: true, ...(arrayFilters.length > 0 && { arrayFilters }) }
+    );
+    if (updated) {
+      return { session: updated, hadSwiped: Boolean(userSwipe) };
+    }
+  }
+
+  throw new Error(
+    `Could not remove member after ${MAX_SWIPE_ATTEMPTS} attempts`
+  );
+};
+
 module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// One entry in a session's append-only swipe log. Every entry except `clear`
+// sets one member's action on one option: `swipe` when they swipe and `undo`
+// when they take a swipe back (`action` is then what the option went back
+// to, or unset if it had not been swiped before). `clear` drops all of a
+// member's swipes when they leave the session.
+const SwipeEventSchema = new mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: { type: String, enum: ['swipe', 'undo', 'clear'], required: true },
+    optionId: String,
+    action: String,
+    previous: String,
+    // The swipe an `undo` took back.
+    undoes: { type: mongoose.Schema.Types.ObjectId, ref: 'SwipeEvent' },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+SwipeEventSchema.index({ session: 1, userId: 1, _id: -1 });
+
+const refuseChanges = function refuseChanges() {
+  throw new Error('Swipe events are append-only');
+};
+
+SwipeEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'],
+  refuseChanges
+);
+SwipeEventSchema.pre('save', function onlyInsert() {
+  if (!this.isNew) {
+    refuseChanges();
+  }
+});
+
+// The latest swipe by the member that hasn't been undone, ignoring anything
+// from before their swipes were last cleared.
+SwipeEventSchema.statics.lastUndoable = async function lastUndoable(
+  sessionId,
+  userId
+) {
+  const filter = { session: sessionId, userId };
+  const [lastClear, undone] = await Promise.all([
+    this.findOne({ ...filter, type: 'clear' }).sort({ _id: -1 }),
+    this.distinct('undoes', { ...filter, type: 'undo' }),
+  ]);
+
+  return this.findOne({
+    ...filter,
+    type: 'swipe',
+    _id: { $nin: undone, ...(lastClear && { $gt: lastClear._id }) },
+  }).sort({ _id: -1 });
+};
+
+// Replays events, oldest first, into each member's option → action map.
+SwipeEventSchema.statics.replay = function replay(events) {
+  const swipes = new Map();
+
+  events.forEach((event) => {
+    const memberId = String(event.userId);
+    if (event.type === 'clear') {
+      swipes.delete(memberId);
+      return;
+    }
+
+    if (!swipes.has(memberId)) {
+      swipes.set(memberId, new Map());
+    }
+    const optionSwipes = swipes.get(memberId);
+    if (event.action) {
+      optionSwipes.set(event.optionId, event.action);
+    } else {
+      optionSwipes.delete(event.optionId);
+    }
+  });
+
+  return swipes;
+};
+
+module.exports = mongoose.model('SwipeEvent', SwipeEventSchema);
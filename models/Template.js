@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const CatalogItemSchema = require('./CatalogItem');
+const { DECISION_RULE_NAMES } = require('../results/decisionRules');
+
+// A ready-made session setup, such as "Friday night", whose options are
+// copied into sessions created from it.
+const TemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    description: { type: String, default: '' },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    isPublic: { type: Boolean, default: false },
+    decisionRule: { type: String, enum: DECISION_RULE_NAMES },
+    quorum: { type: Number, min: 0, max: 1 },
+    options: [CatalogItemSchema],
+  },
+  { timestamps: true }
+);
+
+// Templates the user may see: their own and every public one.
+TemplateSchema.statics.visibleTo = function visibleTo(userId) {
+  return { $or: [{ owner: userId }, { isPublic: true }] };
+};
+
+TemplateSchema.methods.isOwner = function isOwner(userId) {
+  return this.owner.equals(String(userId));
+};
+
+module.exports = mongoose.model('Template', TemplateSchema);
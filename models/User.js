@@ -5,11 +5,43 @@ const UserSchema = mongoose.Schema(
   {
     userId: { type: String, required: true, unique: true, default: uuidv4 },
     userName: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
+    // Guests joined a session with just a display name (their userName) and
+    // have no email or password until they upgrade to a full account.
+    isGuest: { type: Boolean, default: false },
+    email: {
+      type: String,
+      required() {
+        return !this.isGuest;
+      },
+      unique: true,
+      sparse: true,
+    },
+    password: { type: String, select: false },
+    // Consecutive failed logins, and when the lockout they led to ends.
+    failedLogins: { type: Number, default: 0, select: false },
+    lockedUntil: { type: Date, default: null, select: false },
     createdSessions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Session' }],
     joinedSessions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Session' }],
   },
   { timestamps: true }
 );
 
+// Checking whether a user name is taken.
+UserSchema.index({ userName: 1 });
+
+// The first of `userIds` belonging to a full account rather than a guest, as
+// guests can't manage sessions. Resolves to that ID, or to undefined if
+// they are all guests or gone.
+UserSchema.statics.firstAccount = async function firstAccount(userIds) {
+  const accounts = await this.find({
+    _id: { $in: userIds },
+    isGuest: { $ne: true },
+  })
+    .select('_id')
+    .lean();
+  return userIds.find((userId) =>
+    accounts.some((account) => account._id.equals(userId))
+  );
+};
+
 module.exports = mongoose.model('User', UserSchema);
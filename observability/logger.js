@@ -0,0 +1,71 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Errors don't serialise to JSON on their own, so they're logged as their
+// name, message and stack.
+const serialise = (key, value) =>
+  value instanceof Error
+    ? { name: value.name, message: value.message, stack: value.stack }
+    : value;
+
+// Writes one JSON object per line: the time, level and message, followed by
+// the logger's own fields and those given with the message. `child` adds
+// fields (such as a request ID) to every line it logs.
+class Logger {
+  constructor({
+    level = 'info',
+    fields = {},
+    write = (line) => process.stdout.write(line),
+  } = {}) {
+    this.level = level;
+    this.fields = fields;
+    this.write = write;
+  }
+
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      fields: { ...this.fields, ...fields },
+      write: this.write,
+    });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...fields,
+    };
+    this.write(`${JSON.stringify(entry, serialise)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+// The process-wide logger. LOG_LEVEL sets its level; tests run silent unless
+// they ask for one.
+const logger = new Logger({
+  level:
+    process.env.LOG_LEVEL ||
+    (process.env.NODE_ENV === 'test' ? 'silent' : 'info'),
+});
+
+module.exports = { LEVELS, Logger, logger };
@@ -0,0 +1,153 @@
+// A minimal Prometheus registry: counters and histograms with labels,
+// rendered in the text exposition format served at /metrics.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Series are keyed by their label values in `labelNames` order, so the same
+// labels given in any order land in the same series.
+class Metric {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  seriesFor(labels, create) {
+    const picked = Object.fromEntries(
+      this.labelNames.map((name) => [name, labels[name] ?? ''])
+    );
+    const key = JSON.stringify(Object.values(picked));
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    const lines = this.header('counter');
+    if (this.labelNames.length === 0 && this.series.size === 0) {
+      lines.push(`${this.name} 0`);
+    }
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    });
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header('histogram');
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        const bucketLabels = formatLabels({ ...labels, le: bound });
+        lines.push(`${this.name}_bucket${bucketLabels} ${counts[index]}`);
+      });
+      const infLabels = formatLabels({ ...labels, le: '+Inf' });
+      lines.push(
+        `${this.name}_bucket${infLabels} ${count}`,
+        `${this.name}_sum${formatLabels(labels)} ${sum}`,
+        `${this.name}_count${formatLabels(labels)} ${count}`
+      );
+    });
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return `${this.metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+  }
+}
+
+// The app's metrics. Each app gets its own registry, so apps created side
+// by side (as in tests) don't share counts.
+const createMetrics = () => {
+  const registry = new Registry();
+  return {
+    registry,
+    httpRequestDuration: registry.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'Time taken to respond to HTTP requests, by route',
+      labelNames: ['method', 'route', 'status'],
+    }),
+    sessionsCreated: registry.counter({
+      name: 'venn_sessions_created_total',
+      help: 'Sessions created',
+    }),
+    sessionsCompleted: registry.counter({
+      name: 'venn_sessions_completed_total',
+      help: 'Sessions completed, however they were completed',
+    }),
+    swipesRecorded: registry.counter({
+      name: 'venn_swipes_recorded_total',
+      help: 'Swipes recorded, by action',
+      labelNames: ['action'],
+    }),
+  };
+};
+
+module.exports = { CONTENT_TYPE, Counter, Histogram, Registry, createMetrics };
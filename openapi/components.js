@@ -0,0 +1,444 @@
+const Session = require('../models/Session');
+const {
+  DECISION_RULE_NAMES,
+  LIMITED_ACTIONS,
+  SWIPE_ACTIONS,
+} = require('../results/decisionRules');
+
+// Response schemas for the OpenAPI document. These describe what the handlers
+// in routes/*.js send back; routes refer to them by name.
+
+const SESSION_STATUSES = Session.schema.path('status').enumValues;
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+const id = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+const dateTime = { type: 'string', format: 'date-time' };
+const message = { type: 'string' };
+const swipeAction = { type: 'string', enum: SWIPE_ACTIONS };
+const swipes = { type: 'object', additionalProperties: swipeAction };
+
+const object = (properties, description) => ({
+  type: 'object',
+  ...(description && { description }),
+  properties,
+  required: Object.keys(properties),
+});
+
+const schemas = {
+  Error: {
+    type: 'object',
+    description: 'Error',
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: nullable({ type: 'string' }),
+            location: { type: 'string' },
+            message: { type: 'string' },
+          },
+          required: ['message'],
+        },
+      },
+    },
+    required: ['error', 'code'],
+  },
+  Option: {
+    type: 'object',
+    properties: {
+      optionId: { type: 'string' },
+      description: { type: 'string' },
+      details: { type: 'string' },
+      imageUrl: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      yesVotes: { type: 'integer', minimum: 0 },
+      noVotes: { type: 'integer', minimum: 0 },
+      maybeVotes: { type: 'integer', minimum: 0 },
+      superlikeVotes: { type: 'integer', minimum: 0 },
+      vetoVotes: { type: 'integer', minimum: 0 },
+    },
+    required: ['optionId', 'description', 'yesVotes', 'noVotes'],
+  },
+  Session: object({
+    _id: id,
+    title: { type: 'string' },
+    createdBy: id,
+    users: { type: 'array', items: id },
+    coHosts: { type: 'array', items: id },
+    options: { type: 'array', items: ref('Option') },
+    status: { type: 'string', enum: SESSION_STATUSES },
+    swipes: {
+      type: 'array',
+      description:
+        "Every member's swipes for the creator; other members only see their own",
+      items: {
+        type: 'object',
+        properties: {
+          userId: id,
+          optionSwipes: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+          },
+        },
+      },
+    },
+    decisionRule: { type: 'string', enum: DECISION_RULE_NAMES },
+    quorum: { type: 'number' },
+    lockVotesOnComplete: { type: 'boolean' },
+    allowances: ref('Allowances'),
+    autoStartAt: nullable(dateTime),
+    swipeDeadline: nullable(dateTime),
+    result: { oneOf: [ref('FrozenResult'), { type: 'null' }] },
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+  SwipeEvent: {
+    type: 'object',
+    properties: {
+      _id: id,
+      session: id,
+      userId: id,
+      type: { type: 'string', enum: ['swipe', 'undo', 'clear'] },
+      optionId: { type: 'string' },
+      action: swipeAction,
+      previous: swipeAction,
+      undoes: id,
+      createdAt: dateTime,
+    },
+    required: ['_id', 'session', 'userId', 'type', 'createdAt'],
+  },
+  Comment: {
+    type: 'object',
+    properties: {
+      _id: id,
+      session: id,
+      optionId: nullable({ type: 'string' }),
+      author: id,
+      text: { type: 'string' },
+      editedAt: nullable(dateTime),
+      deletedAt: nullable(dateTime),
+      deletedBy: id,
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+    required: ['_id', 'session', 'optionId', 'author', 'createdAt'],
+  },
+  OptionTally: object({
+    optionId: { type: 'string' },
+    description: { type: 'string' },
+    ...Object.fromEntries(
+      SWIPE_ACTIONS.map((action) => [action, { type: 'integer' }])
+    ),
+    unswiped: { type: 'integer' },
+    support: { type: 'number' },
+    score: { type: 'number' },
+    vetoed: { type: 'boolean' },
+  }),
+  FrozenResult: object({
+    rule: { type: 'string' },
+    winners: { type: 'array', items: { type: 'string' } },
+    tallies: { type: 'array', items: ref('OptionTally') },
+    decidedAt: dateTime,
+  }),
+  Allowances: object(
+    Object.fromEntries(
+      LIMITED_ACTIONS.map((action) => [action, { type: 'integer', minimum: 0 }])
+    )
+  ),
+  Invite: object({
+    _id: id,
+    token: { type: 'string' },
+    session: id,
+    createdBy: id,
+    expiresAt: nullable(dateTime),
+    maxUses: nullable({ type: 'integer' }),
+    uses: { type: 'integer', minimum: 0 },
+    revokedAt: nullable(dateTime),
+  }),
+  CatalogItem: object({
+    itemId: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    imageUrl: nullable({ type: 'string' }),
+    tags: { type: 'array', items: { type: 'string' } },
+  }),
+  Catalog: object({
+    _id: id,
+    name: { type: 'string' },
+    description: { type: 'string' },
+    owner: id,
+    isPublic: { type: 'boolean' },
+    items: { type: 'array', items: ref('CatalogItem') },
+    createdAt: dateTime,
+    updatedAt: dateTime,
+  }),
+  Template: {
+    type: 'object',
+    properties: {
+      _id: id,
+      name: { type: 'string' },
+      description: { type: 'string' },
+      owner: id,
+      isPublic: { type: 'boolean' },
+      decisionRule: { type: 'string', enum: DECISION_RULE_NAMES },
+      quorum: { type: 'number' },
+      options: { type: 'array', items: ref('CatalogItem') },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+    required: ['_id', 'name', 'owner', 'isPublic', 'options'],
+  },
+  UserSummary: object({
+    id,
+    userName: { type: 'string' },
+    email: { type: 'string' },
+  }),
+  Profile: object({
+    id,
+    userName: { type: 'string' },
+    email: { type: 'string' },
+    createdAt: dateTime,
+  }),
+  Message: object({ message }, 'Success'),
+  SessionResponse: {
+    type: 'object',
+    description: 'The session',
+    properties: { message, session: ref('Session') },
+    required: ['session'],
+  },
+  SessionCreated: object(
+    { message, session: ref('Session'), inviteLink: { type: 'string' } },
+    'Session created, with a link inviting others to it'
+  ),
+  DecisionRuleUpdated: object(
+    { message, decisionRule: { type: 'string' }, quorum: { type: 'number' } },
+    'Decision rule updated'
+  ),
+  SessionResult: {
+    type: 'object',
+    description:
+      'Options ranked under the decision rule, with the winners; ' +
+      '`decidedAt` is set once the result is frozen',
+    properties: {
+      message,
+      rule: { type: 'string' },
+      winners: { type: 'array', items: { type: 'string' } },
+      results: { type: 'array', items: ref('OptionTally') },
+      decidedAt: dateTime,
+    },
+    required: ['message', 'rule', 'winners', 'results'],
+  },
+  MemberRoleUpdated: object(
+    { message, coHosts: { type: 'array', items: id } },
+    'Member role updated'
+  ),
+  InviteCreated: object(
+    { message, invite: ref('Invite'), inviteLink: { type: 'string' } },
+    'Invite created'
+  ),
+  InviteList: object(
+    {
+      invites: {
+        type: 'array',
+        items: {
+          allOf: [
+            ref('Invite'),
+            object({
+              inviteLink: { type: 'string' },
+              usable: { type: 'boolean' },
+            }),
+          ],
+        },
+      },
+    },
+    "The session's invites, newest first"
+  ),
+  InviteRevoked: object({ message, invite: ref('Invite') }, 'Invite revoked'),
+  OptionList: {
+    type: 'object',
+    description: "The session's options, in order",
+    properties: { message, options: { type: 'array', items: ref('Option') } },
+    required: ['options'],
+  },
+  OptionAdded: object(
+    {
+      message,
+      option: ref('Option'),
+      options: { type: 'array', items: ref('Option') },
+    },
+    'Option added'
+  ),
+  OptionUpdated: object({ message, option: ref('Option') }, 'Option updated'),
+  SwipeRecorded: object(
+    {
+      message,
+      swipes,
+      remaining: ref('Allowances'),
+      status: { type: 'string' },
+    },
+    "Swipe recorded; returns all of the caller's swipes and what is left " +
+      'of their allowances'
+  ),
+  CatalogResponse: {
+    type: 'object',
+    description: 'The catalog',
+    properties: { message, catalog: ref('Catalog') },
+    required: ['catalog'],
+  },
+  CatalogList: object(
+    { catalogs: { type: 'array', items: ref('Catalog') } },
+    'Catalogs you can see, by name'
+  ),
+  CatalogItemResponse: object(
+    { message, item: ref('CatalogItem') },
+    'The catalog item'
+  ),
+  TemplateResponse: {
+    type: 'object',
+    description: 'The template',
+    properties: { message, template: ref('Template') },
+    required: ['template'],
+  },
+  TemplateList: object(
+    { templates: { type: 'array', items: ref('Template') } },
+    'Templates you can see, by name'
+  ),
+  SessionExport: object(
+    {
+      session: object({
+        id,
+        title: { type: 'string' },
+        status: { type: 'string', enum: SESSION_STATUSES },
+        createdAt: dateTime,
+        updatedAt: dateTime,
+      }),
+      result: object({
+        rule: { type: 'string' },
+        winners: { type: 'array', items: { type: 'string' } },
+        decidedAt: nullable(dateTime),
+      }),
+      members: {
+        type: 'array',
+        items: object({
+          id,
+          userName: { type: 'string' },
+          role: { type: 'string', enum: ['creator', 'co-host', 'member'] },
+        }),
+      },
+      options: {
+        type: 'array',
+        items: {
+          allOf: [ref('OptionTally'), object({ winner: { type: 'boolean' } })],
+        },
+      },
+    },
+    "The session's outcome, with options in ranked order"
+  ),
+  NextOptions: object(
+    {
+      status: { type: 'string', enum: SESSION_STATUSES },
+      options: { type: 'array', items: ref('Option') },
+      progress: object({
+        swiped: { type: 'integer', minimum: 0 },
+        remaining: { type: 'integer', minimum: 0 },
+        total: { type: 'integer', minimum: 0 },
+      }),
+    },
+    'The next options to swipe on, in your order, and your progress'
+  ),
+  SwipeUndone: object(
+    {
+      message,
+      undone: object({ optionId: { type: 'string' }, swipeAction }),
+      swipes,
+      remaining: ref('Allowances'),
+      status: { type: 'string' },
+    },
+    "Swipe undone; returns the undone swipe and all of the caller's swipes"
+  ),
+  SwipeHistory: object(
+    {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      events: { type: 'array', items: ref('SwipeEvent') },
+    },
+    'One page of the swipe log, newest first'
+  ),
+  CommentResponse: object(
+    { message, comment: ref('Comment') },
+    'The comment; deleted comments have no text'
+  ),
+  CommentList: object(
+    {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      comments: { type: 'array', items: ref('Comment') },
+    },
+    'One page of comments, newest first'
+  ),
+  GuestJoined: object(
+    {
+      message,
+      session: ref('Session'),
+      guest: object({
+        id,
+        userName: { type: 'string' },
+        isGuest: { type: 'boolean' },
+      }),
+      guestToken: { type: 'string' },
+    },
+    'Joined as a guest; send `guestToken` as the bearer token from now on'
+  ),
+  UserCreated: object({ message, user: ref('UserSummary') }, 'User created'),
+  Tokens: object(
+    { accessToken: { type: 'string' }, refreshToken: { type: 'string' } },
+    'New access and refresh tokens'
+  ),
+  LoggedIn: object(
+    {
+      message,
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      user: ref('UserSummary'),
+    },
+    'Logged in'
+  ),
+  ProfileResponse: {
+    type: 'object',
+    description: 'Your profile',
+    properties: { message, user: ref('Profile') },
+    required: ['user'],
+  },
+  SessionList: object(
+    {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      sessions: {
+        type: 'array',
+        items: object({
+          id,
+          title: { type: 'string' },
+          status: { type: 'string' },
+          role: { type: 'string', enum: ['creator', 'member'] },
+          memberCount: { type: 'integer' },
+          updatedAt: dateTime,
+          result: object({
+            rule: { type: 'string' },
+            winners: { type: 'array', items: { type: 'string' } },
+          }),
+        }),
+      },
+    },
+    'One page of your sessions, most recently updated first'
+  ),
+};
+
+module.exports = { schemas };
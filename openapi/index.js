@@ -0,0 +1,132 @@
+const { version } = require('../package.json');
+const { routes: v1Routes } = require('../routes/v1');
+const { routes: legacyRoutes } = require('../routes/legacy');
+const { schemas: componentSchemas } = require('./components');
+const joiToJsonSchema = require('./joiToJsonSchema');
+
+const TAGS = [
+  'Sessions',
+  'Members',
+  'Invites',
+  'Options',
+  'Swipes',
+  'Comments',
+  'Catalogs',
+  'Templates',
+  'Users',
+];
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    'application/json': { schema: { $ref: '#/components/schemas/Error' } },
+  },
+});
+
+// Express-style `/sessions/:id` becomes OpenAPI-style `/sessions/{id}`.
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const parametersOf = (schema, location) => {
+  if (!schema[location]) {
+    return [];
+  }
+  const { properties, required = [] } = joiToJsonSchema(schema[location]);
+  return Object.entries(properties).map(([name, propertySchema]) => ({
+    name,
+    in: location === 'params' ? 'path' : 'query',
+    required: location === 'params' || required.includes(name),
+    schema: propertySchema,
+  }));
+};
+
+const responsesOf = (route) => {
+  const responses = {};
+  Object.entries(route.responses).forEach(([status, response]) => {
+    const schemaName = typeof response === 'string' ? response : null;
+    responses[status] = schemaName
+      ? {
+          description: componentSchemas[schemaName].description || 'Success',
+          content: {
+            'application/json': {
+              schema: { $ref: `#/components/schemas/${schemaName}` },
+            },
+          },
+        }
+      : response;
+  });
+  if (route.schema) {
+    responses[400] = errorResponse('The request failed validation');
+  }
+  if (route.auth) {
+    responses[401] = errorResponse('Missing, invalid or expired access token');
+  }
+  responses[429] = errorResponse(
+    'Rate limit exceeded; retry after the Retry-After header'
+  );
+  responses.default = errorResponse('Error');
+  return responses;
+};
+
+const operationOf = (route) => {
+  const schema = route.schema || {};
+  const operation = {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: [route.tag],
+    security: route.auth ? [{ bearerAuth: [] }] : [],
+    parameters: [
+      ...parametersOf(schema, 'params'),
+      ...parametersOf(schema, 'query'),
+    ],
+    responses: responsesOf(route),
+  };
+
+  if (schema.body) {
+    const bodySchema = joiToJsonSchema(schema.body);
+    operation.requestBody = {
+      required: Boolean(bodySchema.required),
+      content: { 'application/json': { schema: bodySchema } },
+    };
+  }
+  if (route.deprecated) {
+    const { method, path } = route.successor;
+    const successor = `${method.toUpperCase()} /api/v1${toOpenApiPath(path)}`;
+    operation.deprecated = true;
+    operation.description = `Deprecated alias of ${successor}.`;
+  }
+  return operation;
+};
+
+// Builds the OpenAPI document from the route tables, so it always matches
+// what the app actually serves.
+const buildOpenApiDocument = () => {
+  const paths = {};
+  const addRoute = (prefix) => (route) => {
+    const path = `${prefix}${toOpenApiPath(route.path)}`;
+    paths[path] = { ...paths[path], [route.method]: operationOf(route) };
+  };
+  v1Routes.forEach(addRoute('/api/v1'));
+  legacyRoutes.forEach(addRoute(''));
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Venn API',
+      version,
+      description:
+        'Group decision sessions: members swipe yes or no on options and ' +
+        "the session's decision rule picks the winners.",
+    },
+    servers: [{ url: '/' }],
+    tags: TAGS.map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: componentSchemas,
+    },
+  };
+};
+
+module.exports = { buildOpenApiDocument, toOpenApiPath };
@@ -0,0 +1,96 @@
+// Converts the Joi request schemas into JSON Schema for the OpenAPI document.
+// Only the constructs the API's schemas use are translated; anything else is
+// described as loosely as its base type.
+
+const ruleArg = (description, name, arg = 'limit') => {
+  const rule = (description.rules || []).find((r) => r.name === name);
+  return rule && rule.args ? rule.args[arg] : undefined;
+};
+
+const hasRule = (description, name) =>
+  (description.rules || []).some((rule) => rule.name === name);
+
+const stringSchema = (description) => {
+  const schema = { type: 'string' };
+  const minLength = ruleArg(description, 'min');
+  const maxLength = ruleArg(description, 'max');
+  const pattern = ruleArg(description, 'pattern', 'regex');
+
+  if (minLength !== undefined) schema.minLength = minLength;
+  if (maxLength !== undefined) schema.maxLength = maxLength;
+  if (pattern !== undefined) {
+    schema.pattern = pattern.slice(1, pattern.lastIndexOf('/'));
+  }
+  if (hasRule(description, 'email')) schema.format = 'email';
+  return schema;
+};
+
+const numberSchema = (description) => {
+  const schema = {
+    type: hasRule(description, 'integer') ? 'integer' : 'number',
+  };
+  const minimum = ruleArg(description, 'min');
+  const maximum = ruleArg(description, 'max');
+  const exclusiveMinimum = ruleArg(description, 'greater');
+
+  if (minimum !== undefined) schema.minimum = minimum;
+  if (maximum !== undefined) schema.maximum = maximum;
+  if (exclusiveMinimum !== undefined) {
+    schema.exclusiveMinimum = exclusiveMinimum;
+  }
+  if (ruleArg(description, 'sign', 'sign') === 'positive') {
+    schema.exclusiveMinimum = 0;
+  }
+  return schema;
+};
+
+const fromDescription = (description) => {
+  let schema;
+  switch (description.type) {
+    case 'string':
+      schema = stringSchema(description);
+      break;
+    case 'number':
+      schema = numberSchema(description);
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'array':
+      schema = { type: 'array' };
+      if (description.items && description.items.length === 1) {
+        schema.items = fromDescription(description.items[0]);
+      }
+      if (hasRule(description, 'unique')) schema.uniqueItems = true;
+      break;
+    case 'object': {
+      const keys = Object.entries(description.keys || {});
+      schema = {
+        type: 'object',
+        properties: Object.fromEntries(
+          keys.map(([key, value]) => [key, fromDescription(value)])
+        ),
+      };
+      const required = keys
+        .filter(([, value]) => (value.flags || {}).presence === 'required')
+        .map(([key]) => key);
+      if (required.length > 0) schema.required = required;
+      break;
+    }
+    default:
+      schema = {};
+  }
+
+  const flags = description.flags || {};
+  if (flags.only && description.allow) {
+    schema.enum = description.allow;
+  }
+  if (flags.default !== undefined) {
+    schema.default = flags.default;
+  }
+  return schema;
+};
+
+const joiToJsonSchema = (joiSchema) => fromDescription(joiSchema.describe());
+
+module.exports = joiToJsonSchema;
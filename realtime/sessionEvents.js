@@ -0,0 +1,22 @@
+const { EventEmitter } = require('events');
+
+// In-process hub that fans session events out to every open stream for that
+// session. Route handlers publish; the /session-events stream subscribes.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channel = (sessionId) => `session:${String(sessionId)}`;
+
+const publish = (sessionId, type, data = {}) => {
+  emitter.emit(channel(sessionId), { type, data });
+};
+
+// Registers a listener for one session and returns a function removing it.
+const subscribe = (sessionId, listener) => {
+  emitter.on(channel(sessionId), listener);
+  return () => emitter.off(channel(sessionId), listener);
+};
+
+const listenerCount = (sessionId) => emitter.listenerCount(channel(sessionId));
+
+module.exports = { publish, subscribe, listenerCount };
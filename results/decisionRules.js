@@ -0,0 +1,140 @@
+// Decision rules a session can use to pick its winning option(s). Each rule
+// receives the per-option tallies and the member count, and returns the
+// tallies in ranked order together with the IDs of the winning options.
+//
+// Options are ranked by `score`, where each swipe action carries a weight
+// (a superlike counts double). Rules that need a share of the members use
+// `support` instead: the number of members in favour, with a maybe counting
+// as half. An option vetoed by anyone is ranked last and can't win.
+
+const SWIPE_WEIGHTS = { yes: 1, no: 0, maybe: 0.5, superlike: 2, veto: 0 };
+const SUPPORT = { yes: 1, maybe: 0.5, superlike: 1 };
+const SWIPE_ACTIONS = Object.keys(SWIPE_WEIGHTS);
+
+// Actions each member may only use a limited number of times per session.
+const LIMITED_ACTIONS = ['superlike', 'veto'];
+
+const byScore = (a, b) => a.vetoed - b.vetoed || b.score - a.score;
+
+const noShare = (tally) => {
+  const swiped = SWIPE_ACTIONS.reduce((sum, action) => sum + tally[action], 0);
+  return swiped === 0 ? 0 : tally.no / swiped;
+};
+
+const threshold = (predicate) => (tallies, memberCount, session) => {
+  const ranking = [...tallies].sort(byScore);
+  const winners = ranking.filter(
+    (tally) =>
+      !tally.vetoed && memberCount > 0 && predicate(tally, memberCount, session)
+  );
+  return { ranking, winners: winners.map((tally) => tally.optionId) };
+};
+
+const topOf = (ranking, isTied) => {
+  if (ranking.length === 0 || ranking[0].vetoed || ranking[0].score === 0) {
+    return [];
+  }
+  return ranking
+    .filter((tally) => !tally.vetoed && isTied(tally, ranking[0]))
+    .map((tally) => tally.optionId);
+};
+
+const DECISION_RULES = {
+  // Every member is fully in favour.
+  unanimous: threshold((tally, memberCount) => tally.support === memberCount),
+
+  // More than half of the members are in favour.
+  majority: threshold((tally, memberCount) => tally.support > memberCount / 2),
+
+  // At least `session.quorum` (a fraction of members) are in favour.
+  quorum: threshold(
+    (tally, memberCount, session) =>
+      tally.support / memberCount >= session.quorum
+  ),
+
+  // The option(s) with the highest score win.
+  approval: (tallies) => {
+    const ranking = [...tallies].sort(byScore);
+    return {
+      ranking,
+      winners: topOf(ranking, (tally, top) => tally.score === top.score),
+    };
+  },
+
+  // Highest score wins; ties go to the option with the smaller share of no
+  // votes among those who swiped on it.
+  ranked: (tallies) => {
+    const ranking = [...tallies].sort(
+      (a, b) => byScore(a, b) || noShare(a) - noShare(b)
+    );
+    return {
+      ranking,
+      winners: topOf(
+        ranking,
+        (tally, top) =>
+          tally.score === top.score && noShare(tally) === noShare(top)
+      ),
+    };
+  },
+};
+
+// Counts each swipe action and missing swipes per option, with the option's
+// support and score, ignoring swipes left behind by users who are no longer
+// members of the session.
+const tallyOptions = (session) => {
+  const memberSwipes = session.swipes.filter((swipe) =>
+    session.users.some((userId) => userId.equals(swipe.userId))
+  );
+
+  return session.options.map((option) => {
+    const tally = {
+      optionId: option.optionId,
+      description: option.description,
+      ...Object.fromEntries(SWIPE_ACTIONS.map((action) => [action, 0])),
+      unswiped: session.users.length,
+      support: 0,
+      score: 0,
+    };
+    memberSwipes.forEach((swipe) => {
+      const action = swipe.optionSwipes.get(option.optionId);
+      if (SWIPE_ACTIONS.includes(action)) {
+        tally[action] += 1;
+        tally.unswiped -= 1;
+        tally.support += SUPPORT[action] || 0;
+        tally.score += SWIPE_WEIGHTS[action];
+      }
+    });
+    tally.vetoed = tally.veto > 0;
+    return tally;
+  });
+};
+
+const decide = (session) => {
+  const rule = session.decisionRule || 'unanimous';
+  const { ranking, winners } = DECISION_RULES[rule](
+    tallyOptions(session),
+    session.users.length,
+    session
+  );
+  return { rule, winners, results: ranking };
+};
+
+// The session's result: the one frozen when it completed, or else what the
+// decision rule makes of the swipes so far.
+const resultOf = (session) => {
+  if (session.result) {
+    const { rule, winners, tallies, decidedAt } = session.result;
+    return { rule, winners, results: tallies, decidedAt };
+  }
+  return decide(session);
+};
+
+module.exports = {
+  DECISION_RULE_NAMES: Object.keys(DECISION_RULES),
+  LIMITED_ACTIONS,
+  SWIPE_ACTIONS,
+  SWIPE_WEIGHTS,
+  decide,
+  resultOf,
+  tallyOptions,
+};
@@ -0,0 +1,70 @@
+const { SWIPE_ACTIONS } = require('./decisionRules');
+
+// A session's outcome for reporting: who took part, every option with its
+// aggregated votes (in ranked order) and the decision. `result` is what
+// SessionService#result resolves to for the session.
+const buildExport = (session, members, result) => {
+  const roleOf = (userId) => {
+    if (session.isCreator(userId)) return 'creator';
+    if (session.coHosts.some((coHost) => coHost.equals(userId))) {
+      return 'co-host';
+    }
+    return 'member';
+  };
+
+  return {
+    session: {
+      id: session._id,
+      title: session.title,
+      status: session.status,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+    },
+    result: {
+      rule: result.rule,
+      winners: result.winners,
+      decidedAt: result.decidedAt || null,
+    },
+    members: members.map((user) => ({
+      id: user._id,
+      userName: user.userName,
+      role: roleOf(user._id),
+    })),
+    options: result.results.map((tally) => ({
+      ...tally,
+      winner: result.winners.includes(tally.optionId),
+    })),
+  };
+};
+
+// Columns of each table that can be exported as CSV.
+const CSV_COLUMNS = {
+  options: [
+    'optionId',
+    'description',
+    ...SWIPE_ACTIONS,
+    'unswiped',
+    'support',
+    'score',
+    'vetoed',
+    'winner',
+  ],
+  members: ['id', 'userName', 'role'],
+};
+
+// Quotes a value when needed, and defuses text a spreadsheet would otherwise
+// run as a formula.
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+
+module.exports = { CSV_COLUMNS, buildExport, toCsv };
@@ -0,0 +1,28 @@
+const express = require('express');
+const { routeLimiters } = require('../middleware/rateLimit');
+const { labelRoute } = require('../middleware/requestContext');
+const validate = require('../middleware/validate');
+
+// Mounts each route of a route table on a new router: authentication first,
+// wrapped in the route's rate limits from `limiters`, then validation of the
+// route's schema, then the handler named by its `operationId`.
+const buildRouter = (routes, handlers, limiters = {}) => {
+  const router = express.Router();
+  routes.forEach((route) => {
+    const { before, after } = routeLimiters(route, limiters);
+    router[route.method](
+      route.path,
+      ...[
+        labelRoute,
+        before,
+        route.auth,
+        after,
+        route.schema && validate(route.schema),
+        handlers[route.operationId],
+      ].filter(Boolean)
+    );
+  });
+  return router;
+};
+
+module.exports = buildRouter;
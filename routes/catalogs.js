@@ -0,0 +1,238 @@
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { schemas } = require('../validation/schemas');
+const buildRouter = require('./buildRouter');
+
+// Option catalogs and session templates. See ./v1 for the shape of a route.
+const routes = [
+  {
+    method: 'get',
+    path: '/catalogs',
+    tag: 'Catalogs',
+    summary: 'List your catalogs and public ones',
+    auth: authenticate,
+    schema: schemas.listCatalogs,
+    operationId: 'listCatalogs',
+    responses: { 200: 'CatalogList' },
+  },
+  {
+    method: 'post',
+    path: '/catalogs',
+    tag: 'Catalogs',
+    summary: 'Create a catalog',
+    auth: authenticate,
+    schema: schemas.createCatalog,
+    operationId: 'createCatalog',
+    responses: { 201: 'CatalogResponse' },
+  },
+  {
+    method: 'get',
+    path: '/catalogs/:catalogId',
+    tag: 'Catalogs',
+    summary: 'Get a catalog',
+    auth: authenticate,
+    schema: schemas.catalogById,
+    operationId: 'getCatalog',
+    responses: { 200: 'CatalogResponse' },
+  },
+  {
+    method: 'put',
+    path: '/catalogs/:catalogId',
+    tag: 'Catalogs',
+    summary: "Change a catalog's name, description or visibility",
+    auth: authenticate,
+    schema: schemas.updateCatalog,
+    operationId: 'updateCatalog',
+    responses: { 200: 'CatalogResponse' },
+  },
+  {
+    method: 'delete',
+    path: '/catalogs/:catalogId',
+    tag: 'Catalogs',
+    summary: 'Delete a catalog',
+    auth: authenticate,
+    schema: schemas.catalogById,
+    operationId: 'deleteCatalog',
+    responses: { 200: 'Message' },
+  },
+  {
+    method: 'post',
+    path: '/catalogs/:catalogId/items',
+    tag: 'Catalogs',
+    summary: 'Add an item to a catalog',
+    auth: authenticate,
+    schema: schemas.addCatalogItem,
+    operationId: 'addCatalogItem',
+    responses: { 201: 'CatalogItemResponse' },
+  },
+  {
+    method: 'put',
+    path: '/catalogs/:catalogId/items/:itemId',
+    tag: 'Catalogs',
+    summary: 'Change a catalog item',
+    auth: authenticate,
+    schema: schemas.updateCatalogItem,
+    operationId: 'updateCatalogItem',
+    responses: { 200: 'CatalogItemResponse' },
+  },
+  {
+    method: 'delete',
+    path: '/catalogs/:catalogId/items/:itemId',
+    tag: 'Catalogs',
+    summary: 'Remove an item from a catalog',
+    auth: authenticate,
+    schema: schemas.catalogItem,
+    operationId: 'deleteCatalogItem',
+    responses: { 200: 'Message' },
+  },
+  {
+    method: 'get',
+    path: '/templates',
+    tag: 'Templates',
+    summary: 'List your templates and public ones',
+    auth: authenticate,
+    schema: schemas.listTemplates,
+    operationId: 'listTemplates',
+    responses: { 200: 'TemplateList' },
+  },
+  {
+    method: 'post',
+    path: '/templates',
+    tag: 'Templates',
+    summary: 'Create a template, optionally from catalog items',
+    auth: authenticate,
+    schema: schemas.createTemplate,
+    operationId: 'createTemplate',
+    responses: { 201: 'TemplateResponse' },
+  },
+  {
+    method: 'get',
+    path: '/templates/:templateId',
+    tag: 'Templates',
+    summary: 'Get a template',
+    auth: authenticate,
+    schema: schemas.templateById,
+    operationId: 'getTemplate',
+    responses: { 200: 'TemplateResponse' },
+  },
+  {
+    method: 'put',
+    path: '/templates/:templateId',
+    tag: 'Templates',
+    summary: 'Change a template',
+    auth: authenticate,
+    schema: schemas.updateTemplate,
+    operationId: 'updateTemplate',
+    responses: { 200: 'TemplateResponse' },
+  },
+  {
+    method: 'delete',
+    path: '/templates/:templateId',
+    tag: 'Templates',
+    summary: 'Delete a template',
+    auth: authenticate,
+    schema: schemas.templateById,
+    operationId: 'deleteTemplate',
+    responses: { 200: 'Message' },
+  },
+];
+
+const createHandlers = ({ catalogService, templateService }) => ({
+  listCatalogs: asyncHandler(async (req, res) => {
+    const catalogs = await catalogService.list(req.userId, req.query);
+    res.status(200).json({ catalogs });
+  }),
+
+  createCatalog: asyncHandler(async (req, res) => {
+    const catalog = await catalogService.create(req.userId, req.body);
+    res.status(201).json({ message: 'Catalog created successfully', catalog });
+  }),
+
+  getCatalog: asyncHandler(async (req, res) => {
+    const catalog = await catalogService.get(req.params.catalogId, req.userId);
+    res.status(200).json({ catalog });
+  }),
+
+  updateCatalog: asyncHandler(async (req, res) => {
+    const catalog = await catalogService.update(
+      req.params.catalogId,
+      req.userId,
+      req.body
+    );
+    res.status(200).json({ message: 'Catalog updated successfully', catalog });
+  }),
+
+  deleteCatalog: asyncHandler(async (req, res) => {
+    await catalogService.remove(req.params.catalogId, req.userId);
+    res.status(200).json({ message: 'Catalog deleted successfully' });
+  }),
+
+  addCatalogItem: asyncHandler(async (req, res) => {
+    const item = await catalogService.addItem(
+      req.params.catalogId,
+      req.userId,
+      req.body
+    );
+    res.status(201).json({ message: 'Item added successfully', item });
+  }),
+
+  updateCatalogItem: asyncHandler(async (req, res) => {
+    const item = await catalogService.updateItem(
+      req.params.catalogId,
+      req.userId,
+      req.params.itemId,
+      req.body
+    );
+    res.status(200).json({ message: 'Item updated successfully', item });
+  }),
+
+  deleteCatalogItem: asyncHandler(async (req, res) => {
+    await catalogService.removeItem(
+      req.params.catalogId,
+      req.userId,
+      req.params.itemId
+    );
+    res.status(200).json({ message: 'Item removed successfully' });
+  }),
+
+  listTemplates: asyncHandler(async (req, res) => {
+    const templates = await templateService.list(req.userId, req.query);
+    res.status(200).json({ templates });
+  }),
+
+  createTemplate: asyncHandler(async (req, res) => {
+    const template = await templateService.create(req.userId, req.body);
+    res
+      .status(201)
+      .json({ message: 'Template created successfully', template });
+  }),
+
+  getTemplate: asyncHandler(async (req, res) => {
+    const template = await templateService.get(
+      req.params.templateId,
+      req.userId
+    );
+    res.status(200).json({ template });
+  }),
+
+  updateTemplate: asyncHandler(async (req, res) => {
+    const template = await templateService.update(
+      req.params.templateId,
+      req.userId,
+      req.body
+    );
+    res
+      .status(200)
+      .json({ message: 'Template updated successfully', template });
+  }),
+
+  deleteTemplate: asyncHandler(async (req, res) => {
+    await templateService.remove(req.params.templateId, req.userId);
+    res.status(200).json({ message: 'Template deleted successfully' });
+  }),
+});
+
+const createCatalogRouter = (services, limiters) =>
+  buildRouter(routes, createHandlers(services), limiters);
+
+module.exports = { createHandlers, createCatalogRouter, routes };
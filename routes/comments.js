@@ -0,0 +1,127 @@
+const { authenticateGuest } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { schemas } = require('../validation/schemas');
+const buildRouter = require('./buildRouter');
+
+// A session's discussion: its thread, and comments on each option. Guests
+// are members too, so they can take part. See ./v1 for the shape of a route.
+const routes = [
+  {
+    method: 'get',
+    path: '/sessions/:id/comments',
+    tag: 'Comments',
+    summary: "List the session's thread, newest first",
+    auth: authenticateGuest,
+    schema: schemas.listComments,
+    operationId: 'listComments',
+    responses: { 200: 'CommentList' },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/comments',
+    tag: 'Comments',
+    summary: "Post to the session's thread",
+    auth: authenticateGuest,
+    schema: schemas.postComment,
+    operationId: 'postComment',
+    responses: { 201: 'CommentResponse' },
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id/options/:optionId/comments',
+    tag: 'Comments',
+    summary: "List an option's comments, newest first",
+    auth: authenticateGuest,
+    schema: schemas.listOptionComments,
+    operationId: 'listOptionComments',
+    responses: { 200: 'CommentList' },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/options/:optionId/comments',
+    tag: 'Comments',
+    summary: 'Comment on an option',
+    auth: authenticateGuest,
+    schema: schemas.postOptionComment,
+    operationId: 'postOptionComment',
+    responses: { 201: 'CommentResponse' },
+  },
+  {
+    method: 'put',
+    path: '/sessions/:id/comments/:commentId',
+    tag: 'Comments',
+    summary: 'Edit your comment',
+    auth: authenticateGuest,
+    schema: schemas.updateComment,
+    operationId: 'updateComment',
+    responses: { 200: 'CommentResponse' },
+  },
+  {
+    method: 'delete',
+    path: '/sessions/:id/comments/:commentId',
+    tag: 'Comments',
+    summary: 'Delete your comment, or any comment as the session creator',
+    auth: authenticateGuest,
+    schema: schemas.deleteComment,
+    operationId: 'deleteComment',
+    responses: { 200: 'CommentResponse' },
+  },
+];
+
+const createHandlers = ({ commentService }) => ({
+  listComments: asyncHandler(async (req, res) => {
+    const page = await commentService.list(
+      req.params.id,
+      req.userId,
+      req.query
+    );
+    res.status(200).json(page);
+  }),
+
+  postComment: asyncHandler(async (req, res) => {
+    const comment = await commentService.post(req.params.id, req.userId, {
+      text: req.body.text,
+    });
+    res.status(201).json({ message: 'Comment posted successfully', comment });
+  }),
+
+  listOptionComments: asyncHandler(async (req, res) => {
+    const page = await commentService.list(req.params.id, req.userId, {
+      ...req.query,
+      optionId: req.params.optionId,
+    });
+    res.status(200).json(page);
+  }),
+
+  postOptionComment: asyncHandler(async (req, res) => {
+    const comment = await commentService.post(req.params.id, req.userId, {
+      optionId: req.params.optionId,
+      text: req.body.text,
+    });
+    res.status(201).json({ message: 'Comment posted successfully', comment });
+  }),
+
+  updateComment: asyncHandler(async (req, res) => {
+    const comment = await commentService.update(
+      req.params.id,
+      req.userId,
+      req.params.commentId,
+      req.body.text
+    );
+    res.status(200).json({ message: 'Comment updated successfully', comment });
+  }),
+
+  deleteComment: asyncHandler(async (req, res) => {
+    const comment = await commentService.remove(
+      req.params.id,
+      req.userId,
+      req.params.commentId
+    );
+    res.status(200).json({ message: 'Comment deleted successfully', comment });
+  }),
+});
+
+const createCommentRouter = (services, limiters) =>
+  buildRouter(routes, createHandlers(services), limiters);
+
+module.exports = { createHandlers, createCommentRouter, routes };
@@ -0,0 +1,232 @@
+const express = require('express');
+const Joi = require('joi');
+const { routeLimiters } = require('../middleware/rateLimit');
+const { labelRoute } = require('../middleware/requestContext');
+const validate = require('../middleware/validate');
+const { routes: v1Routes } = require('./v1');
+
+// The original RPC-style endpoints, kept as deprecated aliases of the /api/v1
+// routes. They took the session, option, member or invite in the body (or
+// the query string for GET requests); `params` maps each /api/v1 path
+// parameter to the field it was sent as.
+const ALIASES = [
+  { method: 'post', path: '/create-session', operationId: 'createSession' },
+  {
+    method: 'post',
+    path: '/join-session',
+    operationId: 'joinSession',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'post',
+    path: '/create-invite',
+    operationId: 'createInvite',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'get',
+    path: '/session-invites',
+    operationId: 'listInvites',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'post',
+    path: '/revoke-invite',
+    operationId: 'revokeInvite',
+    params: { token: 'token' },
+  },
+  {
+    method: 'post',
+    path: '/join-by-invite',
+    operationId: 'acceptInvite',
+    params: { token: 'token' },
+  },
+  {
+    method: 'post',
+    path: '/swipe-option',
+    operationId: 'recordSwipe',
+    params: { id: 'sessionId', optionId: 'optionId' },
+  },
+  {
+    method: 'post',
+    path: '/start-session',
+    operationId: 'startSession',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'post',
+    path: '/complete-session',
+    operationId: 'completeSession',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'post',
+    path: '/cancel-session',
+    operationId: 'cancelSession',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'post',
+    path: '/leave-session',
+    operationId: 'leaveSession',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'post',
+    path: '/kick-member',
+    operationId: 'removeMember',
+    params: { id: 'sessionId', memberId: 'memberId' },
+  },
+  {
+    method: 'put',
+    path: '/member-role',
+    operationId: 'updateMemberRole',
+    params: { id: 'sessionId', memberId: 'memberId' },
+  },
+  {
+    method: 'get',
+    path: '/session-events',
+    operationId: 'streamSessionEvents',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'get',
+    path: '/session-options',
+    operationId: 'listOptions',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'post',
+    path: '/add-option',
+    operationId: 'addOption',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'put',
+    path: '/update-option',
+    operationId: 'updateOption',
+    params: { id: 'sessionId', optionId: 'optionId' },
+  },
+  {
+    method: 'put',
+    path: '/reorder-options',
+    operationId: 'reorderOptions',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'delete',
+    path: '/delete-option',
+    operationId: 'deleteOption',
+    params: { id: 'sessionId', optionId: 'optionId' },
+  },
+  {
+    method: 'put',
+    path: '/update-decision-rule',
+    operationId: 'updateDecisionRule',
+    params: { id: 'sessionId' },
+  },
+  {
+    method: 'get',
+    path: '/session-result',
+    operationId: 'getSessionResult',
+    params: { id: 'sessionId' },
+  },
+  { method: 'post', path: '/create-user', operationId: 'createUser' },
+  { method: 'post', path: '/login', operationId: 'login' },
+  { method: 'post', path: '/refresh-token', operationId: 'refreshToken' },
+  { method: 'get', path: '/profile', operationId: 'getProfile' },
+  { method: 'put', path: '/profile', operationId: 'updateProfile' },
+  { method: 'get', path: '/my-sessions', operationId: 'listMySessions' },
+  { method: 'delete', path: '/account', operationId: 'deleteAccount' },
+];
+
+// Moves the path parameters of a /api/v1 schema into the body (or query)
+// under their legacy names, keeping them first so they're reported first.
+const legacySchema = (schema = {}, location, params) => {
+  const carried = Object.entries(params).map(([param, field]) => [
+    field,
+    schema.params.extract(param),
+  ]);
+  if (carried.length === 0) {
+    return schema;
+  }
+
+  const carriedSchema = Joi.object(Object.fromEntries(carried));
+  return {
+    ...schema,
+    params: undefined,
+    [location]: schema[location]
+      ? carriedSchema.concat(schema[location])
+      : carriedSchema,
+  };
+};
+
+const successorPath = (route, input, params) =>
+  `/api/v1${route.path}`.replace(/:(\w+)/g, (match, param) =>
+    input[params[param]] ? encodeURIComponent(input[params[param]]) : match
+  );
+
+const routes = ALIASES.map(({ method, path, operationId, params = {} }) => {
+  const route = v1Routes.find((v1) => v1.operationId === operationId);
+  const location = method === 'get' ? 'query' : 'body';
+  return {
+    ...route,
+    method,
+    path,
+    operationId: `${operationId}Deprecated`,
+    deprecated: true,
+    location,
+    params,
+    successor: route,
+    schema: legacySchema(route.schema, location, params),
+  };
+});
+
+// Flags the response as deprecated and points at the /api/v1 replacement.
+const deprecation = (route) => (req, res, next) => {
+  const successor = successorPath(
+    route.successor,
+    req[route.location] || {},
+    route.params
+  );
+  res.set({
+    Deprecation: 'true',
+    Link: `<${successor}>; rel="successor-version"`,
+  });
+  next();
+};
+
+// Exposes the legacy fields as the path parameters the handlers expect. This
+// runs before authentication, which checks a guest token's session against
+// the `id` parameter.
+const aliasParams = (route) => (req, res, next) => {
+  Object.entries(route.params).forEach(([param, field]) => {
+    req.params[param] = req[route.location][field];
+  });
+  next();
+};
+
+// Builds the router for the aliases from the /api/v1 handlers, with the same
+// rate limits as their successors.
+const createLegacyRouter = (handlers, limiters = {}) => {
+  const router = express.Router();
+  routes.forEach((route) => {
+    const { before, after } = routeLimiters(route, limiters);
+    router[route.method](
+      route.path,
+      ...[
+        labelRoute,
+        deprecation(route),
+        aliasParams(route),
+        before,
+        route.auth,
+        after,
+        route.schema && validate(route.schema),
+        handlers[route.successor.operationId],
+      ].filter(Boolean)
+    );
+  });
+  return router;
+};
+
+module.exports = { createLegacyRouter, routes };
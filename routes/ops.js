@@ -0,0 +1,36 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { labelRoute } = require('../middleware/requestContext');
+const { CONTENT_TYPE } = require('../observability/metrics');
+
+// Operational endpoints for the platform rather than API clients: liveness,
+// readiness and Prometheus metrics. They sit outside /api/v1 and the OpenAPI
+// document, and aren't rate limited so probes and scrapes always get through.
+const createOpsRouter = ({ db, metrics }) => {
+  const router = express.Router();
+
+  // The process is up and serving requests.
+  router.get('/healthz', labelRoute, (req, res) => {
+    res.status(200).json({ status: 'ok' });
+  });
+
+  // The app can do useful work: its database connection is open and it isn't
+  // shutting down.
+  router.get('/readyz', labelRoute, (req, res) => {
+    const database = mongoose.STATES[db.readyState] || 'unknown';
+    const isReady =
+      db.readyState === mongoose.STATES.connected &&
+      !req.app.locals.shuttingDown;
+    res
+      .status(isReady ? 200 : 503)
+      .json({ status: isReady ? 'ready' : 'unavailable', database });
+  });
+
+  router.get('/metrics', labelRoute, (req, res) => {
+    res.status(200).type(CONTENT_TYPE).send(metrics.registry.render());
+  });
+
+  return router;
+};
+
+module.exports = { createOpsRouter };
@@ -0,0 +1,662 @@
+const {
+  authenticate,
+  authenticateGuest,
+  authenticateStream,
+} = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { schemas } = require('../validation/schemas');
+const { CSV_COLUMNS, toCsv } = require('../results/export');
+const buildRouter = require('./buildRouter');
+
+// Sessions and everything nested under them: members, invites, options and
+// swipes. See ./v1 for the shape of a route.
+const routes = [
+  {
+    method: 'post',
+    path: '/sessions',
+    tag: 'Sessions',
+    summary: 'Create a session',
+    auth: authenticate,
+    schema: schemas.createSession,
+    operationId: 'createSession',
+    responses: { 201: 'SessionCreated' },
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id',
+    tag: 'Sessions',
+    summary: 'Get a session',
+    auth: authenticateGuest,
+    schema: schemas.sessionById,
+    operationId: 'getSession',
+    responses: { 200: 'SessionResponse' },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/start',
+    tag: 'Sessions',
+    summary: 'Start a pending session',
+    auth: authenticate,
+    schema: schemas.sessionById,
+    operationId: 'startSession',
+    responses: { 200: 'SessionResponse' },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/complete',
+    tag: 'Sessions',
+    summary: 'Complete an active session',
+    auth: authenticate,
+    schema: schemas.sessionById,
+    operationId: 'completeSession',
+    responses: { 200: 'SessionResponse' },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/cancel',
+    tag: 'Sessions',
+    summary: 'Cancel a session',
+    auth: authenticate,
+    schema: schemas.sessionById,
+    operationId: 'cancelSession',
+    responses: { 200: 'SessionResponse' },
+  },
+  {
+    method: 'put',
+    path: '/sessions/:id/decision-rule',
+    tag: 'Sessions',
+    summary: 'Change how the session picks its winners',
+    auth: authenticate,
+    schema: schemas.updateDecisionRule,
+    operationId: 'updateDecisionRule',
+    responses: { 200: 'DecisionRuleUpdated' },
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id/export',
+    tag: 'Sessions',
+    summary: "Export the session's outcome as JSON or CSV",
+    auth: authenticateGuest,
+    schema: schemas.exportSession,
+    operationId: 'exportSession',
+    responses: {
+      200: {
+        description:
+          'Members, options with their aggregated votes, and the result. ' +
+          'As CSV, one table (`options` or `members`) per request.',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/SessionExport' },
+          },
+          'text/csv': { schema: { type: 'string' } },
+        },
+      },
+    },
+  },
+  {
+    method: 'put',
+    path: '/sessions/:id/settings',
+    tag: 'Sessions',
+    summary: 'Change session settings such as vote locking',
+    auth: authenticate,
+    schema: schemas.updateSettings,
+    operationId: 'updateSessionSettings',
+    responses: { 200: 'SessionResponse' },
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id/result',
+    tag: 'Sessions',
+    summary: 'Get the winning options under the decision rule',
+    auth: authenticateGuest,
+    schema: schemas.sessionById,
+    operationId: 'getSessionResult',
+    responses: { 200: 'SessionResult' },
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id/events',
+    tag: 'Sessions',
+    summary: 'Follow session events as a server-sent event stream',
+    auth: authenticateStream,
+    schema: schemas.sessionEvents,
+    operationId: 'streamSessionEvents',
+    responses: {
+      200: {
+        description:
+          'Stream of snapshot, member-joined, member-left, option-added, ' +
+          'swipe-progress, match-found, status-changed, comment-posted, ' +
+          'comment-updated and comment-deleted events',
+        content: { 'text/event-stream': { schema: { type: 'string' } } },
+      },
+    },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/members',
+    tag: 'Members',
+    summary: 'Join a session',
+    auth: authenticate,
+    schema: schemas.sessionById,
+    operationId: 'joinSession',
+    responses: { 200: 'SessionResponse' },
+  },
+  {
+    method: 'delete',
+    path: '/sessions/:id/members/me',
+    tag: 'Members',
+    summary: 'Leave a session',
+    auth: authenticateGuest,
+    schema: schemas.sessionById,
+    operationId: 'leaveSession',
+    responses: { 200: 'Message' },
+  },
+  {
+    method: 'delete',
+    path: '/sessions/:id/members/:memberId',
+    tag: 'Members',
+    summary: 'Remove a member from a session',
+    auth: authenticate,
+    schema: schemas.memberAction,
+    operationId: 'removeMember',
+    responses: { 200: 'SessionResponse' },
+  },
+  {
+    method: 'put',
+    path: '/sessions/:id/members/:memberId/role',
+    tag: 'Members',
+    summary: "Change a member's role",
+    auth: authenticate,
+    schema: schemas.memberRole,
+    operationId: 'updateMemberRole',
+    responses: { 200: 'MemberRoleUpdated' },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/invites',
+    tag: 'Invites',
+    summary: 'Create an invite link',
+    auth: authenticate,
+    schema: schemas.createInvite,
+    operationId: 'createInvite',
+    responses: { 201: 'InviteCreated' },
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id/invites',
+    tag: 'Invites',
+    summary: "List a session's invites",
+    auth: authenticate,
+    schema: schemas.sessionById,
+    operationId: 'listInvites',
+    responses: { 200: 'InviteList' },
+  },
+  {
+    method: 'delete',
+    path: '/invites/:token',
+    tag: 'Invites',
+    summary: 'Revoke an invite',
+    auth: authenticate,
+    schema: schemas.inviteToken,
+    operationId: 'revokeInvite',
+    responses: { 200: 'InviteRevoked' },
+  },
+  {
+    method: 'post',
+    path: '/invites/:token/accept',
+    tag: 'Invites',
+    summary: 'Join a session through an invite',
+    auth: authenticate,
+    schema: schemas.inviteToken,
+    operationId: 'acceptInvite',
+    responses: { 200: 'SessionResponse' },
+  },
+  {
+    method: 'post',
+    path: '/invites/:token/guests',
+    tag: 'Invites',
+    summary: 'Join a session through an invite as a guest, without an account',
+    rateLimit: 'signup',
+    schema: schemas.joinAsGuest,
+    operationId: 'joinAsGuest',
+    responses: { 201: 'GuestJoined' },
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id/options',
+    tag: 'Options',
+    summary: "List a session's options",
+    auth: authenticateGuest,
+    schema: schemas.sessionById,
+    operationId: 'listOptions',
+    responses: { 200: 'OptionList' },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/options',
+    tag: 'Options',
+    summary: 'Add an option',
+    auth: authenticate,
+    schema: schemas.addOption,
+    operationId: 'addOption',
+    responses: { 201: 'OptionAdded' },
+  },
+  {
+    method: 'put',
+    path: '/sessions/:id/options/order',
+    tag: 'Options',
+    summary: 'Reorder the options',
+    auth: authenticate,
+    schema: schemas.reorderOptions,
+    operationId: 'reorderOptions',
+    responses: { 200: 'OptionList' },
+  },
+  {
+    method: 'put',
+    path: '/sessions/:id/options/:optionId',
+    tag: 'Options',
+    summary: 'Update an option',
+    auth: authenticate,
+    schema: schemas.updateOption,
+    operationId: 'updateOption',
+    responses: { 200: 'OptionUpdated' },
+  },
+  {
+    method: 'delete',
+    path: '/sessions/:id/options/:optionId',
+    tag: 'Options',
+    summary: 'Delete an option',
+    auth: authenticate,
+    schema: schemas.deleteOption,
+    operationId: 'deleteOption',
+    responses: { 200: 'OptionList' },
+  },
+  {
+    method: 'put',
+    path: '/sessions/:id/swipes/:optionId',
+    tag: 'Swipes',
+    summary: 'Swipe on an option',
+    auth: authenticateGuest,
+    schema: schemas.swipeOption,
+    operationId: 'recordSwipe',
+    responses: { 200: 'SwipeRecorded' },
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id/next-options',
+    tag: 'Swipes',
+    summary: 'Get the next options you still have to swipe on',
+    auth: authenticateGuest,
+    schema: schemas.nextOptions,
+    operationId: 'getNextOptions',
+    responses: { 200: 'NextOptions' },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/swipes/undo',
+    tag: 'Swipes',
+    summary: 'Undo your last swipe',
+    auth: authenticateGuest,
+    schema: schemas.sessionById,
+    operationId: 'undoSwipe',
+    responses: { 200: 'SwipeUndone' },
+  },
+  {
+    method: 'get',
+    path: '/sessions/:id/swipes/history',
+    tag: 'Swipes',
+    summary: 'List swipe log entries, newest first',
+    auth: authenticateGuest,
+    schema: schemas.swipeHistory,
+    operationId: 'getSwipeHistory',
+    responses: { 200: 'SwipeHistory' },
+  },
+  {
+    method: 'post',
+    path: '/sessions/:id/swipes/rebuild',
+    tag: 'Swipes',
+    summary: 'Rebuild swipes and tallies by replaying the swipe log',
+    auth: authenticate,
+    schema: schemas.sessionById,
+    operationId: 'rebuildSwipes',
+    responses: { 200: 'SessionResponse' },
+  },
+];
+
+// A session as `viewerId` may see it: as with the swipe history, the creator
+// sees everyone's swipes and other members only their own.
+const sessionFor = (session, viewerId) => {
+  const view = session.toJSON();
+  if (!session.isCreator(viewerId)) {
+    view.swipes = view.swipes.filter(
+      (swipe) => String(swipe.userId) === String(viewerId)
+    );
+  }
+  return view;
+};
+
+const createHandlers = ({ sessionService }) => ({
+  createSession: asyncHandler(async (req, res) => {
+    const { session, inviteLink } = await sessionService.create(
+      req.userId,
+      req.body
+    );
+    res.status(201).json({
+      message: 'Session was created successfully',
+      session: sessionFor(session, req.userId),
+      inviteLink,
+    });
+  }),
+
+  getSession: asyncHandler(async (req, res) => {
+    const session = await sessionService.get(req.params.id, req.userId);
+    res.status(200).json({ session: sessionFor(session, req.userId) });
+  }),
+
+  startSession: asyncHandler(async (req, res) => {
+    const session = await sessionService.start(req.params.id, req.userId);
+    res.status(200).json({
+      message: 'Session started successfully',
+      session: sessionFor(session, req.userId),
+    });
+  }),
+
+  completeSession: asyncHandler(async (req, res) => {
+    const session = await sessionService.complete(req.params.id, req.userId);
+    res.status(200).json({
+      message: 'Session completed successfully',
+      session: sessionFor(session, req.userId),
+    });
+  }),
+
+  cancelSession: asyncHandler(async (req, res) => {
+    const session = await sessionService.cancel(req.params.id, req.userId);
+    res.status(200).json({
+      message: 'Session cancelled successfully',
+      session: sessionFor(session, req.userId),
+    });
+  }),
+
+  updateDecisionRule: asyncHandler(async (req, res) => {
+    const session = await sessionService.updateDecisionRule(
+      req.params.id,
+      req.userId,
+      req.body
+    );
+    res.status(200).json({
+      message: 'Decision rule updated successfully',
+      decisionRule: session.decisionRule,
+      quorum: session.quorum,
+    });
+  }),
+
+  exportSession: asyncHandler(async (req, res) => {
+    const outcome = await sessionService.exportOutcome(
+      req.params.id,
+      req.userId
+    );
+    const { format, table } = req.query;
+    if (format === 'csv') {
+      res
+        .status(200)
+        .type('text/csv')
+        .attachment(`session-${req.params.id}-${table}.csv`)
+        .send(toCsv(outcome[table], CSV_COLUMNS[table]));
+      return;
+    }
+    res.status(200).json(outcome);
+  }),
+
+  updateSessionSettings: asyncHandler(async (req, res) => {
+    const session = await sessionService.updateSettings(
+      req.params.id,
+      req.userId,
+      req.body
+    );
+    res.status(200).json({
+      message: 'Settings updated successfully',
+      session: sessionFor(session, req.userId),
+    });
+  }),
+
+  getSessionResult: asyncHandler(async (req, res) => {
+    const { rule, winners, results, decidedAt } = await sessionService.result(
+      req.params.id,
+      req.userId
+    );
+    res.status(200).json({
+      message:
+        winners.length > 0
+          ? 'Winning options found'
+          : 'No option satisfies the decision rule',
+      rule,
+      winners,
+      results,
+      decidedAt,
+    });
+  }),
+
+  streamSessionEvents: asyncHandler(async (req, res) => {
+    const send = ({ type, data }) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const { snapshot, unsubscribe } = await sessionService.watch(
+      req.params.id,
+      req.userId,
+      send,
+      () => res.end()
+    );
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    send({ type: 'snapshot', data: snapshot });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+    // Closes when the client disconnects or the stream is ended because the
+    // member was removed.
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }),
+
+  joinSession: asyncHandler(async (req, res) => {
+    const session = await sessionService.join(req.params.id, req.userId);
+    res.status(200).json({
+      message: 'User successfully joined session',
+      session: sessionFor(session, req.userId),
+    });
+  }),
+
+  leaveSession: asyncHandler(async (req, res) => {
+    await sessionService.leave(req.params.id, req.userId);
+    res.status(200).json({ message: 'User successfully left session' });
+  }),
+
+  removeMember: asyncHandler(async (req, res) => {
+    const session = await sessionService.removeMember(
+      req.params.id,
+      req.userId,
+      req.params.memberId
+    );
+    res.status(200).json({
+      message: 'Member removed successfully',
+      session: sessionFor(session, req.userId),
+    });
+  }),
+
+  updateMemberRole: asyncHandler(async (req, res) => {
+    const coHosts = await sessionService.setMemberRole(
+      req.params.id,
+      req.userId,
+      req.params.memberId,
+      req.body.role
+    );
+    res
+      .status(200)
+      .json({ message: 'Member role updated successfully', coHosts });
+  }),
+
+  createInvite: asyncHandler(async (req, res) => {
+    const { invite, inviteLink } = await sessionService.createInvite(
+      req.params.id,
+      req.userId,
+      req.body
+    );
+    res.status(201).json({
+      message: 'Invite created successfully',
+      invite,
+      inviteLink,
+    });
+  }),
+
+  listInvites: asyncHandler(async (req, res) => {
+    const invites = await sessionService.listInvites(req.params.id, req.userId);
+    res.status(200).json({ invites });
+  }),
+
+  revokeInvite: asyncHandler(async (req, res) => {
+    const invite = await sessionService.revokeInvite(
+      req.params.token,
+      req.userId
+    );
+    res.status(200).json({ message: 'Invite revoked successfully', invite });
+  }),
+
+  acceptInvite: asyncHandler(async (req, res) => {
+    const session = await sessionService.joinByInvite(
+      req.params.token,
+      req.userId
+    );
+    res.status(200).json({
+      message: 'User successfully joined session',
+      session: sessionFor(session, req.userId),
+    });
+  }),
+
+  joinAsGuest: asyncHandler(async (req, res) => {
+    const { session, guest, guestToken } = await sessionService.joinAsGuest(
+      req.params.token,
+      req.body.displayName
+    );
+    res.status(201).json({
+      message: 'Guest successfully joined session',
+      session: sessionFor(session, guest._id),
+      guest,
+      guestToken,
+    });
+  }),
+
+  listOptions: asyncHandler(async (req, res) => {
+    const options = await sessionService.listOptions(req.params.id, req.userId);
+    res.status(200).json({ options });
+  }),
+
+  addOption: asyncHandler(async (req, res) => {
+    const { option, options } = await sessionService.addOption(
+      req.params.id,
+      req.userId,
+      req.body.description
+    );
+    res
+      .status(201)
+      .json({ message: 'Option added successfully', option, options });
+  }),
+
+  reorderOptions: asyncHandler(async (req, res) => {
+    const options = await sessionService.reorderOptions(
+      req.params.id,
+      req.userId,
+      req.body.optionIds
+    );
+    res
+      .status(200)
+      .json({ message: 'Options reordered successfully', options });
+  }),
+
+  updateOption: asyncHandler(async (req, res) => {
+    const option = await sessionService.updateOption(
+      req.params.id,
+      req.userId,
+      req.params.optionId,
+      req.body.description
+    );
+    res.status(200).json({ message: 'Option updated successfully', option });
+  }),
+
+  deleteOption: asyncHandler(async (req, res) => {
+    const options = await sessionService.deleteOption(
+      req.params.id,
+      req.userId,
+      req.params.optionId
+    );
+    res.status(200).json({ message: 'Option deleted successfully', options });
+  }),
+
+  recordSwipe: asyncHandler(async (req, res) => {
+    const { swipes, remaining, status } = await sessionService.recordSwipe(
+      req.params.id,
+      req.userId,
+      req.params.optionId,
+      req.body.swipeAction
+    );
+    res.status(200).json({
+      message: 'Swipe action recorded successfully',
+      swipes,
+      remaining,
+      status,
+    });
+  }),
+
+  getNextOptions: asyncHandler(async (req, res) => {
+    const next = await sessionService.nextOptions(
+      req.params.id,
+      req.userId,
+      req.query
+    );
+    res.status(200).json(next);
+  }),
+
+  undoSwipe: asyncHandler(async (req, res) => {
+    const { undone, swipes, remaining, status } =
+      await sessionService.undoSwipe(req.params.id, req.userId);
+    res.status(200).json({
+      message: 'Swipe undone successfully',
+      undone,
+      swipes,
+      remaining,
+      status,
+    });
+  }),
+
+  getSwipeHistory: asyncHandler(async (req, res) => {
+    const history = await sessionService.swipeHistory(
+      req.params.id,
+      req.userId,
+      req.query
+    );
+    res.status(200).json(history);
+  }),
+
+  rebuildSwipes: asyncHandler(async (req, res) => {
+    const session = await sessionService.rebuildSwipes(
+      req.params.id,
+      req.userId
+    );
+    res.status(200).json({
+      message: 'Swipes rebuilt from the swipe log',
+      session: sessionFor(session, req.userId),
+    });
+  }),
+});
+
+const createSessionRouter = (services, limiters) =>
+  buildRouter(routes, createHandlers(services), limiters);
+
+module.exports = { createHandlers, createSessionRouter, routes };
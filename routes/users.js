@@ -0,0 +1,135 @@
+const { authenticate, authenticateGuest } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { schemas } = require('../validation/schemas');
+const buildRouter = require('./buildRouter');
+
+// Accounts, authentication and the signed-in user's profile. See ./v1 for
+// the shape of a route.
+const routes = [
+  {
+    method: 'post',
+    path: '/users',
+    tag: 'Users',
+    summary: 'Create an account',
+    rateLimit: 'signup',
+    schema: schemas.createUser,
+    operationId: 'createUser',
+    responses: { 201: 'UserCreated' },
+  },
+  {
+    method: 'post',
+    path: '/auth/login',
+    tag: 'Users',
+    summary: 'Log in with email and password',
+    schema: schemas.login,
+    operationId: 'login',
+    responses: { 200: 'LoggedIn' },
+  },
+  {
+    method: 'post',
+    path: '/auth/refresh',
+    tag: 'Users',
+    summary: 'Exchange a refresh token for new tokens',
+    schema: schemas.refreshToken,
+    operationId: 'refreshToken',
+    responses: { 200: 'Tokens' },
+  },
+  {
+    method: 'get',
+    path: '/users/me',
+    tag: 'Users',
+    summary: 'Get your profile',
+    auth: authenticate,
+    operationId: 'getProfile',
+    responses: { 200: 'ProfileResponse' },
+  },
+  {
+    method: 'put',
+    path: '/users/me',
+    tag: 'Users',
+    summary: 'Update your profile',
+    auth: authenticate,
+    schema: schemas.updateProfile,
+    operationId: 'updateProfile',
+    responses: { 200: 'ProfileResponse' },
+  },
+  {
+    method: 'delete',
+    path: '/users/me',
+    tag: 'Users',
+    summary: 'Delete your account',
+    auth: authenticate,
+    schema: schemas.deleteAccount,
+    operationId: 'deleteAccount',
+    responses: { 200: 'Message' },
+  },
+  {
+    method: 'post',
+    path: '/users/me/upgrade',
+    tag: 'Users',
+    summary: 'Turn your guest identity into a full account',
+    auth: authenticateGuest,
+    schema: schemas.upgradeGuest,
+    operationId: 'upgradeGuest',
+    responses: { 200: 'LoggedIn' },
+  },
+  {
+    method: 'get',
+    path: '/users/me/sessions',
+    tag: 'Users',
+    summary: 'List the sessions you created or joined',
+    auth: authenticate,
+    schema: schemas.mySessions,
+    operationId: 'listMySessions',
+    responses: { 200: 'SessionList' },
+  },
+];
+
+const createHandlers = ({ userService }) => ({
+  createUser: asyncHandler(async (req, res) => {
+    const user = await userService.create(req.body);
+    res.status(201).json({ message: 'User created successfully', user });
+  }),
+
+  login: asyncHandler(async (req, res) => {
+    const tokens = await userService.login(req.body.email, req.body.password);
+    res.status(200).json({ message: 'Logged in successfully', ...tokens });
+  }),
+
+  refreshToken: asyncHandler(async (req, res) => {
+    const tokens = await userService.refresh(req.body.refreshToken);
+    res.status(200).json(tokens);
+  }),
+
+  upgradeGuest: asyncHandler(async (req, res) => {
+    const tokens = await userService.upgradeGuest(req.userId, req.body);
+    res
+      .status(200)
+      .json({ message: 'Account created successfully', ...tokens });
+  }),
+
+  getProfile: asyncHandler(async (req, res) => {
+    const user = await userService.getProfile(req.userId);
+    res.status(200).json({ user });
+  }),
+
+  updateProfile: asyncHandler(async (req, res) => {
+    const user = await userService.updateProfile(req.userId, req.body);
+    res.status(200).json({ message: 'Profile updated successfully', user });
+  }),
+
+  deleteAccount: asyncHandler(async (req, res) => {
+    await userService.deleteAccount(req.userId, req.body);
+    res.status(200).json({ message: 'Account deleted successfully' });
+  }),
+
+  listMySessions: asyncHandler(async (req, res) => {
+    const page = await userService.listSessions(req.userId, req.query);
+    res.status(200).json(page);
+  }),
+});
+
+const createUserRouter = (services, limiters) =>
+  buildRouter(routes, createHandlers(services), limiters);
+
+module.exports = { createHandlers, createUserRouter, routes };
@@ -0,0 +1,39 @@
+const express = require('express');
+const catalogs = require('./catalogs');
+const comments = require('./comments');
+const sessions = require('./sessions');
+const users = require('./users');
+
+// The /api/v1 surface, described as route tables: the routers, the
+// deprecated aliases and the OpenAPI document are all generated from them.
+// Each route names its handler with `operationId`, and `responses` maps
+// status codes to schema names in openapi/components.js (error responses are
+// added automatically). `rateLimit` optionally names a stricter per-IP
+// policy; authenticated routes are also limited per user.
+const routes = [
+  ...sessions.routes,
+  ...comments.routes,
+  ...catalogs.routes,
+  ...users.routes,
+];
+
+// Handlers for every route, keyed by operationId.
+const createHandlers = (services) => ({
+  ...sessions.createHandlers(services),
+  ...comments.createHandlers(services),
+  ...catalogs.createHandlers(services),
+  ...users.createHandlers(services),
+});
+
+// `limiters` are the rate limiters the routes' policies name (see
+// middleware/rateLimit.js); routes aren't limited without them.
+const createV1Router = (services, limiters) => {
+  const router = express.Router();
+  router.use(sessions.createSessionRouter(services, limiters));
+  router.use(comments.createCommentRouter(services, limiters));
+  router.use(catalogs.createCatalogRouter(services, limiters));
+  router.use(users.createUserRouter(services, limiters));
+  return router;
+};
+
+module.exports = { createHandlers, createV1Router, routes };
@@ -0,0 +1,52 @@
+// Applies pending schema migrations, or lists them all with `status`:
+//
+//   node scripts/migrate.js [status] [--to <version>]
+//
+// See migrations/index.js for how migrations are written and recorded.
+
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const { loadConfig } = require('../config');
+const { migrate, migrationStatus } = require('../migrations');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const toIndex = args.indexOf('--to');
+  const to = toIndex === -1 ? Infinity : Number(args[toIndex + 1]);
+  if (Number.isNaN(to)) {
+    throw new Error('--to must be a migration version');
+  }
+  const config = loadConfig(process.env, ['DB_STRING']);
+  await connectDB(config.dbUri, { attempts: 1 });
+
+  try {
+    if (args.includes('status')) {
+      const migrations = await migrationStatus();
+      migrations.forEach(({ version, name, appliedAt }) => {
+        const state = appliedAt
+          ? `applied ${appliedAt.toISOString()}`
+          : 'pending';
+        console.log(`${version}-${name} ${state}`);
+      });
+      return;
+    }
+
+    const applied = await migrate({ to });
+    if (applied.length === 0) {
+      console.log('No pending migrations');
+    } else {
+      applied.forEach(({ version, name }) => {
+        console.log(`Applied ${version}-${name}`);
+      });
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,239 @@
+// Finds references between sessions, users and invites that have drifted
+// apart and, with --fix, repairs them:
+//
+//   node scripts/repairReferences.js [--fix]
+//
+// Sessions are the source of truth: a user's createdSessions should list
+// exactly the sessions they created, and their joinedSessions the other
+// sessions they are a member of. Exits with status 1 if problems were found
+// and not fixed.
+
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const { loadConfig } = require('../config');
+const Comment = require('../models/Comment');
+const Invite = require('../models/Invite');
+const Session = require('../models/Session');
+const SwipeEvent = require('../models/SwipeEvent');
+const User = require('../models/User');
+const { withTransaction } = require('../services/transaction');
+
+const difference = (a, b) => [...a].filter((item) => !b.has(item));
+
+// Problems repaired on the session's side.
+const SESSION_PROBLEMS = ['missing-member', 'missing-creator'];
+
+// How each problem with a user's lists is repaired: the update operator, the
+// list it applies to and the operator's modifier for several IDs.
+const LIST_UPDATES = {
+  'stale-created-session': ['$pull', 'createdSessions', '$in'],
+  'missing-created-session': ['$addToSet', 'createdSessions', '$each'],
+  'stale-joined-session': ['$pull', 'joinedSessions', '$in'],
+  'missing-joined-session': ['$addToSet', 'joinedSessions', '$each'],
+};
+
+// Resolves to the problems found, each describing one broken reference by
+// its `type` and the IDs of the `session`, `user` or `invite` involved.
+const findProblems = async () => {
+  const [sessions, users, invites] = await Promise.all([
+    Session.find().select('createdBy users').lean(),
+    User.find().select('createdSessions joinedSessions').lean(),
+    Invite.find().select('session').lean(),
+  ]);
+  const userIds = new Set(users.map((user) => String(user._id)));
+  const sessionIds = new Set(sessions.map((session) => String(session._id)));
+  const problems = [];
+
+  const expected = new Map(
+    [...userIds].map((userId) => [
+      userId,
+      { created: new Set(), joined: new Set() },
+    ])
+  );
+  sessions.forEach((session) => {
+    const sessionId = String(session._id);
+    const creatorId = String(session.createdBy);
+    const memberIds = session.users.map(String);
+
+    memberIds
+      .filter((memberId) => !userIds.has(memberId))
+      .forEach((memberId) => {
+        problems.push({
+          type: 'missing-member',
+          session: sessionId,
+          user: memberId,
+        });
+      });
+    if (!userIds.has(creatorId)) {
+      problems.push({
+        type: 'missing-creator',
+        session: sessionId,
+        user: creatorId,
+      });
+    } else if (!memberIds.includes(creatorId)) {
+      problems.push({
+        type: 'creator-not-member',
+        session: sessionId,
+        user: creatorId,
+      });
+    }
+
+    if (userIds.has(creatorId)) {
+      expected.get(creatorId).created.add(sessionId);
+    }
+    memberIds
+      .filter((memberId) => memberId !== creatorId && userIds.has(memberId))
+      .forEach((memberId) => expected.get(memberId).joined.add(sessionId));
+  });
+
+  users.forEach((user) => {
+    const userId = String(user._id);
+    const lists = {
+      created: new Set(user.createdSessions.map(String)),
+      joined: new Set(user.joinedSessions.map(String)),
+    };
+    Object.entries(lists).forEach(([list, actual]) => {
+      const wanted = expected.get(userId)[list];
+      difference(actual, wanted).forEach((sessionId) => {
+        problems.push({
+          type: `stale-${list}-session`,
+          user: userId,
+          session: sessionId,
+        });
+      });
+      difference(wanted, actual).forEach((sessionId) => {
+        problems.push({
+          type: `missing-${list}-session`,
+          user: userId,
+          session: sessionId,
+        });
+      });
+    });
+  });
+
+  invites
+    .filter((invite) => !sessionIds.has(String(invite.session)))
+    .forEach((invite) => {
+      problems.push({
+        type: 'orphaned-invite',
+        invite: String(invite._id),
+        session: String(invite.session),
+      });
+    });
+
+  return problems;
+};
+
+// Drops members that no longer exist, and hands sessions whose creator no
+// longer exists to their first remaining member with a full account, as
+// guests can't manage sessions. Sessions with nobody left to manage them are
+// deleted along with their invites, swipe log and comments; the members'
+// lists are repaired afterwards. Sessions deleted since the scan are skipped.
+const repairSession = async (sessionId, missingUserIds) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    return;
+  }
+  missingUserIds.forEach((userId) => session.removeMember(userId));
+
+  if (missingUserIds.includes(String(session.createdBy))) {
+    const successor = await User.firstAccount(session.users);
+    if (!successor) {
+      await withTransaction(async () => {
+        await Invite.deleteMany({ session: session._id });
+        await SwipeEvent.deleteMany({ session: session._id });
+        await Comment.deleteMany({ session: session._id });
+        await Session.deleteOne({ _id: session._id });
+      });
+      return;
+    }
+    session.createdBy = successor;
+  }
+  await session.save();
+};
+
+// Repairs every problem found, then resolves to the problems found before.
+// Sessions are repaired first, since the users' lists are checked against
+// them.
+const repairProblems = async () => {
+  const problems = await findProblems();
+
+  const missingBySession = new Map();
+  problems
+    .filter(({ type }) => SESSION_PROBLEMS.includes(type))
+    .forEach(({ session, user }) => {
+      missingBySession.set(session, [
+        ...(missingBySession.get(session) || []),
+        user,
+      ]);
+    });
+  for (const [sessionId, missingUserIds] of missingBySession) {
+    await repairSession(sessionId, missingUserIds);
+  }
+
+  for (const { session, user } of problems.filter(
+    ({ type }) => type === 'creator-not-member'
+  )) {
+    await Session.updateOne({ _id: session }, { $addToSet: { users: user } });
+  }
+
+  const remaining = await findProblems();
+  const updates = new Map();
+  remaining
+    .filter(({ type }) => LIST_UPDATES[type])
+    .forEach(({ type, user, session }) => {
+      const [operator, list, modifier] = LIST_UPDATES[type];
+      const update = updates.get(user) || {};
+      const ids = (update[operator] && update[operator][list]) || {};
+      update[operator] = {
+        ...update[operator],
+        [list]: { [modifier]: [...(ids[modifier] || []), session] },
+      };
+      updates.set(user, update);
+    });
+  for (const [userId, update] of updates) {
+    await User.updateOne({ _id: userId }, update);
+  }
+
+  const orphanedInvites = remaining
+    .filter(({ type }) => type === 'orphaned-invite')
+    .map(({ invite }) => invite);
+  if (orphanedInvites.length > 0) {
+    await Invite.deleteMany({ _id: { $in: orphanedInvites } });
+  }
+
+  return problems;
+};
+
+const main = async () => {
+  const fix = process.argv.includes('--fix');
+  const config = loadConfig(process.env, ['DB_STRING']);
+  await connectDB(config.dbUri, { attempts: 1 });
+
+  try {
+    const problems = fix ? await repairProblems() : await findProblems();
+    problems.forEach(({ type, ...ids }) => {
+      const refs = Object.entries(ids).map(([name, id]) => `${name}=${id}`);
+      console.log(`${type} ${refs.join(' ')}`);
+    });
+    if (problems.length === 0) {
+      console.log('No problems found');
+    } else if (fix) {
+      console.log(`Repaired ${problems.length} problem(s)`);
+    } else {
+      console.log(`Found ${problems.length} problem(s); run with --fix`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { findProblems, repairProblems };
@@ -0,0 +1,76 @@
+// Populates a development database with fixture users and sessions:
+//
+//   node scripts/seed.js [--reset] [--users <n>] [--sessions <n>] [--seed <n>]
+//
+// --reset first deletes every user, session, invite, swipe event, comment,
+// catalog and template. Seeded users can log in with their email and the
+// fixture password. Refuses to run with NODE_ENV=production.
+
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const { loadConfig } = require('../config');
+const { FIXTURE_PASSWORD, seed } = require('../fixtures');
+const Catalog = require('../models/Catalog');
+const Comment = require('../models/Comment');
+const Invite = require('../models/Invite');
+const Session = require('../models/Session');
+const SwipeEvent = require('../models/SwipeEvent');
+const Template = require('../models/Template');
+const User = require('../models/User');
+
+const numberArg = (args, name) => {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return undefined;
+  }
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a whole number`);
+  }
+  return value;
+};
+
+const main = async () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Refusing to seed a production database');
+  }
+  const args = process.argv.slice(2);
+  const options = {
+    users: numberArg(args, '--users'),
+    sessions: numberArg(args, '--sessions'),
+    seed: numberArg(args, '--seed'),
+  };
+  const config = loadConfig(process.env, ['DB_STRING']);
+  await connectDB(config.dbUri, { attempts: 1 });
+
+  try {
+    if (args.includes('--reset')) {
+      await Promise.all(
+        [User, Session, Invite, SwipeEvent, Comment, Catalog, Template].map(
+          (model) => model.deleteMany({})
+        )
+      );
+    }
+    const { users, sessions } = await seed(
+      Object.fromEntries(
+        Object.entries(options).filter(([, value]) => value !== undefined)
+      )
+    );
+    console.log(
+      `Seeded ${users.length} user(s) and ${sessions.length} session(s)`
+    );
+    console.log(
+      `Log in as any of them with password "${FIXTURE_PASSWORD}", e.g.`
+    );
+    users.slice(0, 3).forEach((user) => console.log(`  ${user.email}`));
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,105 @@
+const Catalog = require('../models/Catalog');
+const { forbidden, notFound } = require('../middleware/errors');
+
+const CATALOG_FIELDS = ['name', 'description', 'isPublic'];
+const ITEM_FIELDS = ['title', 'description', 'imageUrl', 'tags'];
+
+const assign = (target, changes, fields) => {
+  fields.forEach((field) => {
+    if (changes[field] !== undefined) {
+      target[field] = changes[field];
+    }
+  });
+};
+
+// Option catalogs. Each user manages their own catalogs and can use, but not
+// change, the ones other users made public.
+class CatalogService {
+  async list(userId, { scope = 'all', tag } = {}) {
+    const filter = {
+      all: Catalog.visibleTo(userId),
+      mine: { owner: userId },
+      public: { isPublic: true },
+    }[scope];
+    if (tag) {
+      filter['items.tags'] = tag;
+    }
+
+    return Catalog.find(filter).sort({ name: 1 });
+  }
+
+  async get(catalogId, userId) {
+    const catalog = await Catalog.findOne({
+      _id: catalogId,
+      ...Catalog.visibleTo(userId),
+    });
+    if (!catalog) {
+      throw notFound("Catalog doesn't exist");
+    }
+    return catalog;
+  }
+
+  async findOwned(catalogId, userId) {
+    const catalog = await this.get(catalogId, userId);
+    if (!catalog.isOwner(userId)) {
+      throw forbidden('Only the catalog owner can change it');
+    }
+    return catalog;
+  }
+
+  async create(userId, { name, description, isPublic, items = [] }) {
+    return Catalog.create({
+      name,
+      description,
+      isPublic,
+      owner: userId,
+      items,
+    });
+  }
+
+  async update(catalogId, userId, changes) {
+    const catalog = await this.findOwned(catalogId, userId);
+    assign(catalog, changes, CATALOG_FIELDS);
+    await catalog.save();
+    return catalog;
+  }
+
+  async remove(catalogId, userId) {
+    const catalog = await this.findOwned(catalogId, userId);
+    await catalog.deleteOne();
+  }
+
+  async addItem(catalogId, userId, item) {
+    const catalog = await this.findOwned(catalogId, userId);
+    catalog.items.push(item);
+    await catalog.save();
+    return catalog.items[catalog.items.length - 1];
+  }
+
+  findItem(catalog, itemId) {
+    const item = catalog.items.find(
+      (catalogItem) => catalogItem.itemId === itemId
+    );
+    if (!item) {
+      throw notFound('Item is not in catalog');
+    }
+    return item;
+  }
+
+  async updateItem(catalogId, userId, itemId, changes) {
+    const catalog = await this.findOwned(catalogId, userId);
+    const item = this.findItem(catalog, itemId);
+    assign(item, changes, ITEM_FIELDS);
+    await catalog.save();
+    return item;
+  }
+
+  async removeItem(catalogId, userId, itemId) {
+    const catalog = await this.findOwned(catalogId, userId);
+    const item = this.findItem(catalog, itemId);
+    catalog.items.pull(item._id);
+    await catalog.save();
+  }
+}
+
+module.exports = CatalogService;
@@ -0,0 +1,115 @@
+const Comment = require('../models/Comment');
+const { forbidden, notFound } = require('../middleware/errors');
+const sessionEvents = require('../realtime/sessionEvents');
+
+// A session's discussion: its thread, and comments on each of its options.
+// Only current members may read or post; authors may edit and delete their
+// own comments, and the session creator may delete anyone's. Changes are
+// published to the session's event streams.
+class CommentService {
+  constructor({ events = sessionEvents, sessionService }) {
+    this.events = events;
+    this.sessionService = sessionService;
+  }
+
+  // Looks up the session, checking that the user is a member and, when an
+  // `optionId` is given, that the option is in it.
+  async findDiscussion(sessionId, userId, optionId = null) {
+    const session = await this.sessionService.find(sessionId);
+
+    if (!session.isMember(userId)) {
+      throw forbidden('Only session members can read and post comments');
+    }
+    if (
+      optionId !== null &&
+      !session.options.some((option) => option.optionId === optionId)
+    ) {
+      throw notFound('Option is not in session');
+    }
+
+    return session;
+  }
+
+  async findComment(session, commentId) {
+    const comment = await Comment.findOne({
+      _id: commentId,
+      session: session._id,
+      deletedAt: null,
+    });
+    if (!comment) {
+      throw notFound("Comment doesn't exist");
+    }
+    return comment;
+  }
+
+  // One page of the session's thread, or of one option's comments, newest
+  // first.
+  async list(sessionId, userId, { optionId = null, page = 1, limit = 50 }) {
+    const session = await this.findDiscussion(sessionId, userId, optionId);
+
+    const filter = { session: session._id, optionId };
+    const [total, comments] = await Promise.all([
+      Comment.countDocuments(filter),
+      Comment.find(filter)
+        .sort({ _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return { page, limit, total, comments };
+  }
+
+  async post(sessionId, userId, { optionId = null, text }) {
+    const session = await this.findDiscussion(sessionId, userId, optionId);
+
+    const comment = await Comment.create({
+      session: session._id,
+      optionId,
+      author: userId,
+      text,
+    });
+    this.events.publish(session._id, 'comment-posted', { comment });
+
+    return comment;
+  }
+
+  async update(sessionId, userId, commentId, text) {
+    const session = await this.findDiscussion(sessionId, userId);
+    const comment = await this.findComment(session, commentId);
+
+    if (!comment.isAuthor(userId)) {
+      throw forbidden('Only the author can edit a comment');
+    }
+
+    comment.text = text;
+    comment.editedAt = new Date();
+    await comment.save();
+    this.events.publish(session._id, 'comment-updated', { comment });
+
+    return comment;
+  }
+
+  async remove(sessionId, userId, commentId) {
+    const session = await this.findDiscussion(sessionId, userId);
+    const comment = await this.findComment(session, commentId);
+
+    if (!comment.isAuthor(userId) && !session.isCreator(userId)) {
+      throw forbidden(
+        'Only the author or the session creator can delete a comment'
+      );
+    }
+
+    comment.text = undefined;
+    comment.deletedAt = new Date();
+    comment.deletedBy = userId;
+    await comment.save();
+    this.events.publish(session._id, 'comment-deleted', {
+      commentId: comment._id,
+      optionId: comment.optionId,
+    });
+
+    return comment;
+  }
+}
+
+module.exports = CommentService;
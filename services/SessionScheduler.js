@@ -0,0 +1,66 @@
+const { logger } = require('../observability/logger');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Periodically applies session schedules: starts sessions whose auto-start
+// time has come, completes those past their swipe deadline and cancels
+// pending sessions left idle for longer than `pendingTtlMs`. It only reads
+// the clock through timers and `Date.now()`, so tests can drive it with
+// fake timers.
+class SessionScheduler {
+  constructor({
+    sessionService,
+    intervalMs = MINUTE,
+    pendingTtlMs = 7 * DAY,
+    onError = (err) => logger.error('Session scheduler failed', { err }),
+  }) {
+    this.sessionService = sessionService;
+    this.intervalMs = intervalMs;
+    this.pendingTtlMs = pendingTtlMs;
+    this.onError = onError;
+    this.timer = null;
+    // The pass in progress, if any, so overlapping passes are skipped and
+    // callers can wait for it to finish.
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      if (!this.running) {
+        this.running = this.tick()
+          .catch(this.onError)
+          .finally(() => {
+            this.running = null;
+          });
+      }
+    }, this.intervalMs);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  // Stops scheduling further passes and waits for the current one.
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+
+  // Runs one pass and resolves to the sessions it changed, by change.
+  async tick() {
+    const now = new Date(Date.now());
+    const started = await this.sessionService.autoStartDue(now);
+    const completed = await this.sessionService.completeExpired(now);
+    const cancelled = await this.sessionService.cancelIdle(
+      new Date(now.getTime() - this.pendingTtlMs),
+      now
+    );
+    return { started, completed, cancelled };
+  }
+}
+
+module.exports = SessionScheduler;
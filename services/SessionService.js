@@ -0,0 +1,1001 @@
+const { v4: uuidv4 } = require('uuid');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Invite = require('../models/Invite');
+const Comment = require('../models/Comment');
+const SwipeEvent = require('../models/SwipeEvent');
+const {
+  badRequest,
+  conflict,
+  forbidden,
+  gone,
+  invalidState,
+  limitExceeded,
+  notFound,
+} = require('../middleware/errors');
+const { createTokens } = require('../middleware/auth');
+const sessionEvents = require('../realtime/sessionEvents');
+const { resultOf } = require('../results/decisionRules');
+const { createMetrics } = require('../observability/metrics');
+const { buildExport } = require('../results/export');
+const CatalogService = require('./CatalogService');
+const TemplateService = require('./TemplateService');
+const { withTransaction } = require('./transaction');
+
+const findOption = (session, optionId) => {
+  const option = session.options.find(
+    (sessionOption) => sessionOption.optionId === optionId
+  );
+  if (!option) {
+    throw notFound('Option is not in session');
+  }
+  return option;
+};
+
+// Turns a catalog or template item into a fresh, unvoted session option.
+const optionFromItem = ({ title, description, imageUrl, tags }) => ({
+  optionId: uuidv4(),
+  description: title,
+  details: description || undefined,
+  imageUrl: imageUrl || undefined,
+  tags: tags.length > 0 ? tags : undefined,
+  yesVotes: 0,
+  noVotes: 0,
+});
+
+// How each status change is described and who may make it.
+const TRANSITIONS = {
+  Active: { verb: 'start', allowCoHosts: true },
+  Completed: { verb: 'complete', allowCoHosts: false },
+  Cancelled: { verb: 'cancel', allowCoHosts: false },
+};
+
+// Session lifecycle, membership, invites, options and swipes. Methods take
+// the acting user's ID explicitly and throw ApiErrors, so they can be used
+// from HTTP handlers, sockets or scripts alike.
+class SessionService {
+  constructor({
+    config = {},
+    events = sessionEvents,
+    metrics = createMetrics(),
+    templateService = new TemplateService({
+      catalogService: new CatalogService(),
+    }),
+  } = {}) {
+    this.inviteBaseUrl = config.inviteBaseUrl || 'http://localhost:3000';
+    this.tokens = createTokens(config);
+    this.events = events;
+    this.metrics = metrics;
+    this.templateService = templateService;
+  }
+
+  async find(sessionId) {
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      throw notFound("Session doesn't exist");
+    }
+    return session;
+  }
+
+  // Looks up a session whose options may be changed by the given user,
+  // throwing the matching error when they can't. Options are only `changed`
+  // while the session is pending unless other `statuses` are given.
+  async findEditable(
+    sessionId,
+    userId,
+    { statuses = ['Pending'], action = 'changed' } = {}
+  ) {
+    const session = await this.find(sessionId);
+
+    if (!session.canManage(userId)) {
+      throw forbidden(
+        'Only the session creator or a co-host can manage options'
+      );
+    }
+
+    if (!statuses.includes(session.status)) {
+      const allowed = statuses.map((status) => status.toLowerCase());
+      throw invalidState(
+        `Options can only be ${action} while the session is ` +
+          allowed.join(' or ')
+      );
+    }
+
+    return session;
+  }
+
+  // Tells the session's streams about its new status, and counts it if the
+  // session just completed.
+  statusChanged(session) {
+    this.events.publish(session._id, 'status-changed', {
+      status: session.status,
+    });
+    if (session.status === 'Completed') {
+      this.metrics.sessionsCompleted.inc();
+    }
+  }
+
+  inviteLink(invite) {
+    return `${this.inviteBaseUrl}/join/${invite.token}`;
+  }
+
+  // Creates a pending session. With a `templateId`, the template's options are
+  // copied in and its name, decision rule and quorum fill any gaps. The vote
+  // locking, allowances and schedule settings are stored as given; anything
+  // else is ignored.
+  async create(
+    userId,
+    {
+      title,
+      decisionRule,
+      quorum,
+      templateId,
+      lockVotesOnComplete,
+      allowances,
+      autoStartAt,
+      swipeDeadline,
+    }
+  ) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw notFound("User doesn't exist");
+    }
+
+    const template =
+      templateId && (await this.templateService.get(templateId, userId));
+
+    const { session, invite } = await withTransaction(async () => {
+      const created = await Session.create({
+        sessionId: uuidv4(),
+        title: title || template.name,
+        createdBy: userId,
+        users: [userId],
+        options: template ? template.options.map(optionFromItem) : [],
+        status: 'Pending',
+        decisionRule: decisionRule || (template && template.decisionRule),
+        quorum: quorum || (template && template.quorum),
+        lockVotesOnComplete,
+        allowances,
+        autoStartAt,
+        swipeDeadline,
+      });
+      await User.updateOne(
+        { _id: user._id },
+        { $addToSet: { createdSessions: created._id } }
+      );
+      const defaultInvite = await Invite.create({
+        session: created._id,
+        createdBy: userId,
+      });
+      return { session: created, invite: defaultInvite };
+    });
+    this.metrics.sessionsCreated.inc();
+
+    return { session, inviteLink: this.inviteLink(invite) };
+  }
+
+  async get(sessionId, userId) {
+    const session = await this.find(sessionId);
+
+    if (!session.isMember(userId)) {
+      throw forbidden('Only session members can view the session');
+    }
+
+    return session;
+  }
+
+  // Checks that a user may join the session and resolves to their document.
+  async findJoiningUser(session, userId) {
+    if (['Completed', 'Cancelled'].includes(session.status)) {
+      throw invalidState(
+        `Cannot join a ${session.status.toLowerCase()} session`
+      );
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw notFound("User doesn't exist");
+    }
+
+    if (session.isMember(userId)) {
+      throw conflict('User is already in the session');
+    }
+
+    return user;
+  }
+
+  // Adds the user to the session and the session to the user's joined
+  // sessions together, counting a use of `invite` if they joined through one.
+  async addMember(session, user, invite) {
+    await withTransaction(async () => {
+      if (invite && !(await Invite.claim(invite._id))) {
+        throw gone('Invite is no longer valid');
+      }
+      session.users.addToSet(user._id);
+      await session.save();
+      await User.updateOne(
+        { _id: user._id },
+        { $addToSet: { joinedSessions: session._id } }
+      );
+    });
+
+    this.events.publish(session._id, 'member-joined', {
+      userId: user._id,
+      memberCount: session.users.length,
+      progress: session.swipeProgress(),
+    });
+  }
+
+  async join(sessionId, userId) {
+    const session = await this.find(sessionId);
+    const user = await this.findJoiningUser(session, userId);
+
+    await this.addMember(session, user);
+    return session;
+  }
+
+  async createInvite(sessionId, userId, { expiresInMinutes, maxUses } = {}) {
+    const session = await this.find(sessionId);
+
+    if (!session.isCreator(userId)) {
+      throw forbidden('Only the session creator can manage invites');
+    }
+
+    if (['Completed', 'Cancelled'].includes(session.status)) {
+      throw invalidState(
+        `Cannot invite to a ${session.status.toLowerCase()} session`
+      );
+    }
+
+    const invite = await Invite.create({
+      session: session._id,
+      createdBy: userId,
+      expiresAt: expiresInMinutes
+        ? new Date(Date.now() + expiresInMinutes * 60 * 1000)
+        : null,
+      maxUses: maxUses || null,
+    });
+
+    return { invite, inviteLink: this.inviteLink(invite) };
+  }
+
+  async listInvites(sessionId, userId) {
+    const session = await this.find(sessionId);
+
+    if (!session.isCreator(userId)) {
+      throw forbidden('Only the session creator can manage invites');
+    }
+
+    const invites = await Invite.find({ session: session._id }).sort({
+      createdAt: -1,
+    });
+
+    return invites.map((invite) => ({
+      ...invite.toObject(),
+      inviteLink: this.inviteLink(invite),
+      usable: invite.unusableReason() === null,
+    }));
+  }
+
+  async revokeInvite(token, userId) {
+    const invite = await Invite.findOne({ token }).populate('session');
+    if (!invite || !invite.session) {
+      throw notFound("Invite doesn't exist");
+    }
+
+    if (!invite.session.isCreator(userId)) {
+      throw forbidden('Only the session creator can manage invites');
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+
+    return invite;
+  }
+
+  async joinByInvite(token, userId) {
+    const invite = await Invite.findOne({ token });
+    if (!invite) {
+      throw notFound("Invite doesn't exist");
+    }
+
+    const unusableReason = invite.unusableReason();
+    if (unusableReason) {
+      throw gone(unusableReason);
+    }
+
+    const session = await this.find(invite.session);
+    const user = await this.findJoiningUser(session, userId);
+
+    await this.addMember(session, user, invite);
+    return session;
+  }
+
+  // Lets someone without an account join through an invite under a display
+  // name. They become a guest user whose token only works for taking part in
+  // sessions; their swipes count like anyone else's.
+  async joinAsGuest(token, displayName) {
+    const guest = await User.create({ userName: displayName, isGuest: true });
+
+    let session;
+    try {
+      session = await this.joinByInvite(token, guest._id);
+    } catch (err) {
+      await User.deleteOne({ _id: guest._id });
+      throw err;
+    }
+
+    return {
+      session,
+      guest: { id: guest._id, userName: guest.userName, isGuest: true },
+      guestToken: this.tokens.signGuestToken(guest._id, session._id),
+    };
+  }
+
+  // Looks up a session the member may swipe in right now.
+  async findSwipeable(sessionId, userId) {
+    const session = await this.find(sessionId);
+
+    if (!session.isMember(userId)) {
+      throw notFound('User is not in session');
+    }
+
+    if (!session.swipeStatuses().includes(session.status)) {
+      throw invalidState(
+        'Swipes are only accepted while the session is active'
+      );
+    }
+    // The scheduler completes the session some time after its deadline, but
+    // swipes stop at the deadline itself.
+    if (session.swipeDeadline && session.swipeDeadline <= new Date()) {
+      throw invalidState('The swipe deadline has passed');
+    }
+
+    return session;
+  }
+
+  // Publishes progress after a member's swipes changed and completes the
+  // session once everyone has swiped. Resolves to the member's swipes.
+  async afterSwipe(session, userId) {
+    let updated = session;
+    this.events.publish(updated._id, 'swipe-progress', updated.swipeProgress());
+
+    if (updated.status === 'Completed') {
+      // Votes aren't locked, so the stored result follows the late swipe,
+      // whether or not it leaves everyone swiped.
+      updated.freezeResult();
+      await updated.save();
+    } else {
+      updated = await this.completeIfEveryoneSwiped(updated);
+    }
+
+    const userSwipe = updated.swipes.find((swipe) =>
+      swipe.userId.equals(userId)
+    );
+    return {
+      swipes: Object.fromEntries(userSwipe.optionSwipes),
+      remaining: updated.remainingAllowances(userId),
+      status: updated.status,
+    };
+  }
+
+  // Records a member's swipe and completes the session once every member
+  // has swiped on every option. Resolves to the member's swipes so far, what
+  // is left of their allowances and the session status.
+  async recordSwipe(sessionId, userId, optionId, swipeAction) {
+    const session = await this.findSwipeable(sessionId, userId);
+    const option = findOption(session, optionId);
+
+    // The swipe and its log entry are written together, so the log can
+    // always rebuild the swipes.
+    const recorded = await withTransaction(async () => {
+      const outcome = await Session.recordSwipe(
+        session._id,
+        userId,
+        option.optionId,
+        swipeAction,
+        { statuses: session.swipeStatuses(), limits: session.allowances }
+      );
+      if (
+        outcome &&
+        !outcome.limitReached &&
+        outcome.previous !== swipeAction
+      ) {
+        await SwipeEvent.create({
+          session: session._id,
+          userId,
+          type: 'swipe',
+          optionId: option.optionId,
+          action: swipeAction,
+          previous: outcome.previous,
+        });
+      }
+      return outcome;
+    });
+    if (!recorded) {
+      throw invalidState(
+        'Swipes are only accepted while the session is active and before its deadline'
+      );
+    }
+    if (recorded.limitReached) {
+      throw limitExceeded(
+        `You have no ${swipeAction} allowance left ` +
+          `(${session.allowances[swipeAction]} per member)`
+      );
+    }
+
+    this.metrics.swipesRecorded.inc({ action: swipeAction });
+
+    if (
+      ['yes', 'superlike'].includes(swipeAction) &&
+      !['yes', 'superlike'].includes(recorded.previous) &&
+      recorded.session.isUnanimous(option.optionId)
+    ) {
+      this.events.publish(session._id, 'match-found', {
+        optionId: option.optionId,
+        description: option.description,
+      });
+    }
+
+    return this.afterSwipe(recorded.session, userId);
+  }
+
+  // Takes back the member's most recent swipe that hasn't been undone yet,
+  // restoring whatever they had chosen for that option before it. Repeated
+  // undos walk further back through their swipes.
+  async undoSwipe(sessionId, userId) {
+    const session = await this.findSwipeable(sessionId, userId);
+
+    const swipe = await SwipeEvent.lastUndoable(session._id, userId);
+    if (!swipe) {
+      throw notFound('There is no swipe to undo');
+    }
+
+    const updated = await withTransaction(async () => {
+      const replaced = await Session.replaceSwipe(
+        session._id,
+        userId,
+        swipe.optionId,
+        {
+          from: swipe.action,
+          to: swipe.previous,
+          statuses: session.swipeStatuses(),
+          limits: session.allowances,
+        }
+      );
+      if (replaced) {
+        await SwipeEvent.create({
+          session: session._id,
+          userId,
+          type: 'undo',
+          optionId: swipe.optionId,
+          action: swipe.previous,
+          previous: swipe.action,
+          undoes: swipe._id,
+        });
+      }
+      return replaced;
+    });
+    if (!updated) {
+      throw conflict('The swipe changed while undoing it; try again');
+    }
+
+    const result = await this.afterSwipe(updated, userId);
+    return {
+      ...result,
+      undone: { optionId: swipe.optionId, swipeAction: swipe.action },
+    };
+  }
+
+  // One page of the session's swipe log, newest first. The creator can see
+  // everyone's swipes; other members only their own.
+  async swipeHistory(sessionId, userId, { memberId, page = 1, limit = 50 }) {
+    const session = await this.get(sessionId, userId);
+
+    const filter = { session: session._id };
+    if (!session.isCreator(userId)) {
+      if (memberId && memberId !== String(userId)) {
+        throw forbidden("Only the session creator can see others' swipes");
+      }
+      filter.userId = userId;
+    } else if (memberId) {
+      filter.userId = memberId;
+    }
+
+    const [total, events] = await Promise.all([
+      SwipeEvent.countDocuments(filter),
+      SwipeEvent.find(filter)
+        .sort({ _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return { page, limit, total, events };
+  }
+
+  // Rebuilds every member's swipes and the option tallies by replaying the
+  // swipe log, e.g. after a bad manual edit. Members the log has nothing on,
+  // such as those whose swipes were imported or written directly, keep the
+  // swipes stored for them. Swipes recorded while this runs may be lost, so
+  // it is best used once voting has stopped.
+  async rebuildSwipes(sessionId, userId) {
+    const session = await this.find(sessionId);
+
+    if (!session.isCreator(userId)) {
+      throw forbidden('Only the session creator can rebuild swipes');
+    }
+
+    const events = await SwipeEvent.find({ session: session._id }).sort({
+      _id: 1,
+    });
+    const logged = new Set(events.map((event) => String(event.userId)));
+    const replayed = SwipeEvent.replay(events);
+    const optionIds = session.options.map((option) => option.optionId);
+
+    const swipesOf = (memberId) => {
+      if (!logged.has(String(memberId))) {
+        const stored = session.swipes.find((swipe) =>
+          swipe.userId.equals(memberId)
+        );
+        return stored && new Map(stored.optionSwipes);
+      }
+      return replayed.get(String(memberId));
+    };
+
+    session.swipes = session.users
+      .map((memberId) => ({ userId: memberId, swipes: swipesOf(memberId) }))
+      .filter(({ swipes }) => swipes !== undefined)
+      .map(({ userId: memberId, swipes }) => ({
+        userId: memberId,
+        optionSwipes: new Map(
+          [...swipes].filter(([optionId]) => optionIds.includes(optionId))
+        ),
+      }));
+    session.recountVotes();
+    await session.save();
+
+    return session;
+  }
+
+  async updateSettings(
+    sessionId,
+    userId,
+    { lockVotesOnComplete, allowances = {}, autoStartAt, swipeDeadline }
+  ) {
+    const session = await this.find(sessionId);
+
+    if (!session.isCreator(userId)) {
+      throw forbidden('Only the session creator can change its settings');
+    }
+
+    if (lockVotesOnComplete !== undefined) {
+      session.lockVotesOnComplete = lockVotesOnComplete;
+    }
+    Object.entries(allowances).forEach(([action, allowance]) => {
+      session.allowances[action] = allowance;
+    });
+    if (autoStartAt !== undefined) {
+      session.autoStartAt = autoStartAt;
+    }
+    if (swipeDeadline !== undefined) {
+      session.swipeDeadline = swipeDeadline;
+    }
+    await session.save();
+
+    return session;
+  }
+
+  // Moves a session to `status` on behalf of its creator (or, for starting,
+  // one of its co-hosts).
+  async changeStatus(sessionId, userId, status) {
+    const { verb, allowCoHosts } = TRANSITIONS[status];
+    const session = await this.find(sessionId);
+
+    if (
+      allowCoHosts ? !session.canManage(userId) : !session.isCreator(userId)
+    ) {
+      throw forbidden(
+        allowCoHosts
+          ? `Only the session creator or a co-host can ${verb} the session`
+          : `Only the session creator can ${verb} the session`
+      );
+    }
+
+    if (!session.canTransitionTo(status)) {
+      throw invalidState(
+        `Cannot ${verb} a ${session.status.toLowerCase()} session`
+      );
+    }
+
+    if (status === 'Active' && session.options.length === 0) {
+      throw invalidState('Cannot start a session without options');
+    }
+
+    session.status = status;
+    if (status === 'Completed') {
+      session.freezeResult();
+    }
+    await session.save();
+
+    this.statusChanged(session);
+    return session;
+  }
+
+  start(sessionId, userId) {
+    return this.changeStatus(sessionId, userId, 'Active');
+  }
+
+  complete(sessionId, userId) {
+    return this.changeStatus(sessionId, userId, 'Completed');
+  }
+
+  cancel(sessionId, userId) {
+    return this.changeStatus(sessionId, userId, 'Cancelled');
+  }
+
+  // Moves each session matching `filter` from status `from` to `to` on
+  // behalf of the scheduler, re-checking the filter atomically so sessions
+  // changed in the meantime are skipped. Resolves to the sessions moved.
+  async transitionWhere(filter, from, to) {
+    const candidates = await Session.find({ ...filter, status: from }).select(
+      '_id'
+    );
+
+    const moved = [];
+    for (const { _id } of candidates) {
+      const session = await Session.findOneAndUpdate(
+        { ...filter, _id, status: from },
+        { status: to },
+        { new: true }
+      );
+      if (session) {
+        moved.push(session);
+      }
+    }
+    return moved;
+  }
+
+  // Starts pending sessions whose auto-start time has come, as long as they
+  // have options to swipe on.
+  async autoStartDue(now = new Date()) {
+    const started = await this.transitionWhere(
+      { autoStartAt: { $lte: now }, 'options.0': { $exists: true } },
+      'Pending',
+      'Active'
+    );
+    started.forEach((session) => this.statusChanged(session));
+    return started;
+  }
+
+  // Completes active sessions whose swipe deadline has passed and freezes
+  // their result.
+  async completeExpired(now = new Date()) {
+    const completed = await this.transitionWhere(
+      { swipeDeadline: { $lte: now } },
+      'Active',
+      'Completed'
+    );
+    for (const session of completed) {
+      session.freezeResult(now);
+      await session.save();
+      this.statusChanged(session);
+    }
+    return completed;
+  }
+
+  // Cancels pending sessions nobody has touched since `idleSince`, unless
+  // they are still waiting for their auto-start time.
+  async cancelIdle(idleSince, now = new Date()) {
+    const cancelled = await this.transitionWhere(
+      {
+        updatedAt: { $lte: idleSince },
+        $or: [{ autoStartAt: null }, { autoStartAt: { $lte: now } }],
+      },
+      'Pending',
+      'Cancelled'
+    );
+    cancelled.forEach((session) => this.statusChanged(session));
+    return cancelled;
+  }
+
+  // Completes an active session once every member has swiped on every
+  // option. Resolves to the session as it now stands.
+  async completeIfEveryoneSwiped(session) {
+    if (session.status !== 'Active' || !session.hasEveryoneSwiped()) {
+      return session;
+    }
+
+    const completed = await Session.findOneAndUpdate(
+      { _id: session._id, status: 'Active' },
+      { status: 'Completed' },
+      { new: true }
+    );
+    if (!completed) {
+      return session;
+    }
+    completed.freezeResult();
+    await completed.save();
+    this.statusChanged(completed);
+    return completed;
+  }
+
+  // Removes a member and their swipes in one update, so swipes recorded
+  // meanwhile aren't lost, then completes the session if everyone left has
+  // now swiped on every option. Resolves to the updated session.
+  async removeFromSession(session, memberId) {
+    const removed = await withTransaction(async () => {
+      const dropped = await Session.dropMember(session._id, memberId);
+      if (!dropped) {
+        return null;
+      }
+      await User.updateOne(
+        { _id: memberId },
+        { $pull: { joinedSessions: session._id } }
+      );
+      if (dropped.hadSwiped) {
+        await SwipeEvent.create({
+          session: session._id,
+          userId: memberId,
+          type: 'clear',
+        });
+      }
+      return dropped.session;
+    });
+    if (!removed) {
+      throw notFound('User is not in session');
+    }
+
+    this.events.publish(session._id, 'member-left', {
+      userId: memberId,
+      memberCount: removed.users.length,
+      progress: removed.swipeProgress(),
+    });
+    return this.completeIfEveryoneSwiped(removed);
+  }
+
+  async leave(sessionId, userId) {
+    const session = await this.find(sessionId);
+
+    if (!session.isMember(userId)) {
+      throw notFound('User is not in session');
+    }
+
+    if (session.isCreator(userId)) {
+      throw badRequest(
+        'The session creator cannot leave; cancel the session instead'
+      );
+    }
+
+    await this.removeFromSession(session, userId);
+  }
+
+  async removeMember(sessionId, userId, memberId) {
+    const session = await this.find(sessionId);
+
+    if (!session.isCreator(userId)) {
+      throw forbidden('Only the session creator can remove members');
+    }
+
+    if (session.isCreator(memberId)) {
+      throw badRequest('The session creator cannot be removed');
+    }
+
+    if (!session.isMember(memberId)) {
+      throw notFound('User is not in session');
+    }
+
+    return this.removeFromSession(session, memberId);
+  }
+
+  async setMemberRole(sessionId, userId, memberId, role) {
+    const session = await this.find(sessionId);
+
+    if (!session.isCreator(userId)) {
+      throw forbidden('Only the session creator can change member roles');
+    }
+
+    if (!session.isMember(memberId)) {
+      throw notFound('User is not in session');
+    }
+
+    if (session.isCreator(memberId)) {
+      throw badRequest("The session creator's role cannot be changed");
+    }
+
+    if (role === 'co-host') {
+      session.coHosts.addToSet(memberId);
+    } else {
+      session.coHosts.pull(memberId);
+    }
+    await session.save();
+
+    return session.coHosts;
+  }
+
+  // Subscribes a member to the session's events. Resolves to the current
+  // state, to send before any event, and a function that unsubscribes. If
+  // the member leaves or is removed, they get that event last: they are then
+  // unsubscribed and `onRemoved` is called so the stream can be closed.
+  async watch(sessionId, userId, listener, onRemoved = () => {}) {
+    const session = await this.find(sessionId);
+
+    if (!session.isMember(userId)) {
+      throw forbidden('Only session members can follow session events');
+    }
+
+    const unsubscribe = this.events.subscribe(session._id, (event) => {
+      listener(event);
+      if (
+        event.type === 'member-left' &&
+        String(event.data.userId) === String(userId)
+      ) {
+        unsubscribe();
+        onRemoved();
+      }
+    });
+
+    return {
+      snapshot: { status: session.status, progress: session.swipeProgress() },
+      unsubscribe,
+    };
+  }
+
+  async listOptions(sessionId, userId) {
+    const session = await this.get(sessionId, userId);
+    return session.options;
+  }
+
+  // Options may also be added once swiping has started; they slot into each
+  // member's queue at their place in that member's shuffle, without moving
+  // the options already queued (see `nextOptions`).
+  async addOption(sessionId, userId, description) {
+    const session = await this.findEditable(sessionId, userId, {
+      statuses: ['Pending', 'Active'],
+      action: 'added',
+    });
+
+    // Pushed atomically so swipes recorded meanwhile aren't overwritten.
+    const updated = await Session.findOneAndUpdate(
+      { _id: session._id, status: session.status },
+      {
+        $push: {
+          options: {
+            optionId: uuidv4(),
+            description,
+            yesVotes: 0,
+            noVotes: 0,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw conflict('The session changed while adding the option; try again');
+    }
+
+    const option = updated.options[updated.options.length - 1];
+    if (updated.status === 'Active') {
+      this.events.publish(updated._id, 'option-added', { option });
+      this.events.publish(
+        updated._id,
+        'swipe-progress',
+        updated.swipeProgress()
+      );
+    }
+
+    return { option, options: updated.options };
+  }
+
+  // The next `limit` options the member still has to swipe on, in their own
+  // shuffled order, with how far through the session's options they are.
+  async nextOptions(sessionId, userId, { limit = 10 } = {}) {
+    const session = await this.get(sessionId, userId);
+    const queue = session.optionQueue(userId);
+
+    return {
+      status: session.status,
+      options: queue.slice(0, limit),
+      progress: {
+        swiped: session.options.length - queue.length,
+        remaining: queue.length,
+        total: session.options.length,
+      },
+    };
+  }
+
+  async updateOption(sessionId, userId, optionId, description) {
+    const session = await this.findEditable(sessionId, userId);
+
+    const option = findOption(session, optionId);
+    option.description = description;
+    await session.save();
+
+    return option;
+  }
+
+  async reorderOptions(sessionId, userId, optionIds) {
+    const session = await this.findEditable(sessionId, userId);
+
+    const currentIds = session.options.map((option) => option.optionId);
+    // Checked here as well as in the route's schema, for callers that use
+    // the service directly.
+    const isSameSet =
+      optionIds.length === currentIds.length &&
+      new Set(optionIds).size === optionIds.length &&
+      optionIds.every((optionId) => currentIds.includes(optionId));
+    if (!isSameSet) {
+      throw badRequest(
+        'Option IDs must list every option in the session exactly once'
+      );
+    }
+
+    session.options = optionIds.map((optionId) =>
+      session.options.find((option) => option.optionId === optionId)
+    );
+    await session.save();
+
+    return session.options;
+  }
+
+  async deleteOption(sessionId, userId, optionId) {
+    const session = await this.findEditable(sessionId, userId);
+
+    const option = findOption(session, optionId);
+    session.options.pull(option._id);
+    session.swipes.forEach((userSwipe) => {
+      userSwipe.optionSwipes.delete(optionId);
+    });
+    await withTransaction(async () => {
+      await session.save();
+      await Comment.deleteMany({ session: session._id, optionId });
+    });
+
+    return session.options;
+  }
+
+  async updateDecisionRule(sessionId, userId, { decisionRule, quorum }) {
+    const session = await this.find(sessionId);
+
+    if (!session.isCreator(userId)) {
+      throw forbidden('Only the session creator can change the decision rule');
+    }
+
+    if (session.status !== 'Pending') {
+      throw invalidState(
+        'The decision rule can only be changed while the session is pending'
+      );
+    }
+
+    session.decisionRule = decisionRule;
+    if (quorum !== undefined) {
+      session.quorum = quorum;
+    }
+    await session.save();
+
+    return session;
+  }
+
+  // The result stored when the session completed, otherwise the result as
+  // it stands. Only members may see it.
+  async result(sessionId, userId) {
+    return resultOf(await this.get(sessionId, userId));
+  }
+
+  // The session's members, options with their aggregated votes and result,
+  // for reporting. Only members may export a session.
+  async exportOutcome(sessionId, userId) {
+    const session = await this.get(sessionId, userId);
+    const members = await User.find({ _id: { $in: session.users } }).select(
+      'userName'
+    );
+    const byMemberOrder = session.users
+      .map((memberId) => members.find((user) => user._id.equals(memberId)))
+      .filter(Boolean);
+
+    return buildExport(session, byMemberOrder, resultOf(session));
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,104 @@
+const Template = require('../models/Template');
+const { badRequest, forbidden, notFound } = require('../middleware/errors');
+
+const TEMPLATE_FIELDS = [
+  'name',
+  'description',
+  'isPublic',
+  'decisionRule',
+  'quorum',
+  'options',
+];
+
+const copyItem = ({ title, description, imageUrl, tags }) => ({
+  title,
+  description,
+  imageUrl,
+  tags,
+});
+
+// Session templates. Like catalogs, they belong to one user and can be
+// shared publicly; sessions created from a template start with its options.
+class TemplateService {
+  constructor({ catalogService }) {
+    this.catalogService = catalogService;
+  }
+
+  async list(userId, { scope = 'all' } = {}) {
+    const filter = {
+      all: Template.visibleTo(userId),
+      mine: { owner: userId },
+      public: { isPublic: true },
+    }[scope];
+
+    return Template.find(filter).sort({ name: 1 });
+  }
+
+  async get(templateId, userId) {
+    const template = await Template.findOne({
+      _id: templateId,
+      ...Template.visibleTo(userId),
+    });
+    if (!template) {
+      throw notFound("Template doesn't exist");
+    }
+    return template;
+  }
+
+  async findOwned(templateId, userId) {
+    const template = await this.get(templateId, userId);
+    if (!template.isOwner(userId)) {
+      throw forbidden('Only the template owner can change it');
+    }
+    return template;
+  }
+
+  // Copies the chosen items (all of them when `itemIds` is omitted) out of a
+  // catalog the user can see.
+  async itemsFromCatalog(userId, catalogId, itemIds) {
+    const catalog = await this.catalogService.get(catalogId, userId);
+    if (!itemIds) {
+      return catalog.items.map(copyItem);
+    }
+
+    return itemIds.map((itemId) => {
+      const item = catalog.items.find(
+        (catalogItem) => catalogItem.itemId === itemId
+      );
+      if (!item) {
+        throw badRequest(`Item ${itemId} is not in catalog`);
+      }
+      return copyItem(item);
+    });
+  }
+
+  async create(userId, { catalogId, itemIds, options = [], ...fields }) {
+    const catalogItems = catalogId
+      ? await this.itemsFromCatalog(userId, catalogId, itemIds)
+      : [];
+
+    return Template.create({
+      ...fields,
+      owner: userId,
+      options: [...options, ...catalogItems],
+    });
+  }
+
+  async update(templateId, userId, changes) {
+    const template = await this.findOwned(templateId, userId);
+    TEMPLATE_FIELDS.forEach((field) => {
+      if (changes[field] !== undefined) {
+        template[field] = changes[field];
+      }
+    });
+    await template.save();
+    return template;
+  }
+
+  async remove(templateId, userId) {
+    const template = await this.findOwned(templateId, userId);
+    await template.deleteOne();
+  }
+}
+
+module.exports = TemplateService;
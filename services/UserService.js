@@ -0,0 +1,328 @@
+const bcrypt = require('bcrypt');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createTokens } = require('../middleware/auth');
+const {
+  conflict,
+  notFound,
+  tooManyRequests,
+  unauthorized,
+} = require('../middleware/errors');
+const { resultOf } = require('../results/decisionRules');
+const { withTransaction } = require('./transaction');
+
+const summaryOf = (user) => ({
+  id: user._id,
+  userName: user.userName,
+  email: user.email,
+});
+
+// Guests' display names don't reserve user names, so only full accounts
+// count when checking whether a name or email is taken.
+const takenBy = (fields) => ({
+  $or: fields.map((field) =>
+    field.userName ? { ...field, isGuest: { $ne: true } } : field
+  ),
+});
+
+const profileOf = (user) => ({ ...summaryOf(user), createdAt: user.createdAt });
+
+const DEFAULT_LOGIN_LOCKOUT = { maxAttempts: 5, durationMs: 15 * 60 * 1000 };
+
+const secondsUntil = (date) =>
+  Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+
+const lockedOut = (lockedUntil) =>
+  tooManyRequests(
+    'Too many failed login attempts, please try again later',
+    secondsUntil(lockedUntil)
+  );
+
+// Accounts, credentials and the sessions a user takes part in.
+class UserService {
+  // `config.loginLockout` sets how many consecutive failed logins
+  // (`maxAttempts`) lock an account, and for how long (`durationMs`); tokens
+  // are signed with `config.accessTokenSecret` and `refreshTokenSecret`.
+  // Removing a deleted account from its sessions goes through
+  // `sessionService`.
+  constructor({ config = {}, sessionService } = {}) {
+    this.tokens = createTokens(config);
+    this.sessionService = sessionService;
+    this.loginLockout = { ...DEFAULT_LOGIN_LOCKOUT, ...config.loginLockout };
+  }
+
+  async find(userId, projection) {
+    const user = await User.findById(userId).select(projection);
+    if (!user) {
+      throw notFound("User doesn't exist");
+    }
+    return user;
+  }
+
+  async create({ userName, email, password }) {
+    const existingUser = await User.findOne(takenBy([{ userName }, { email }]));
+    if (existingUser) {
+      throw conflict('Username or email already taken.');
+    }
+
+    const user = await User.create({
+      userName,
+      email,
+      password: await bcrypt.hash(password, 10),
+    });
+
+    return summaryOf(user);
+  }
+
+  async login(email, password) {
+    const user = await User.findOne({ email }).select(
+      '+password +failedLogins +lockedUntil'
+    );
+    if (user && user.lockedUntil > new Date()) {
+      throw lockedOut(user.lockedUntil);
+    }
+
+    const isMatch =
+      user && user.password && (await bcrypt.compare(password, user.password));
+    if (!isMatch) {
+      if (user) {
+        await this.recordFailedLogin(user._id);
+      }
+      throw unauthorized('Invalid email or password.');
+    }
+
+    if (user.failedLogins > 0 || user.lockedUntil) {
+      await User.updateOne(
+        { _id: user._id },
+        { failedLogins: 0, lockedUntil: null }
+      );
+    }
+
+    return {
+      accessToken: this.tokens.signAccessToken(user._id),
+      refreshToken: this.tokens.signRefreshToken(user._id),
+      user: summaryOf(user),
+    };
+  }
+
+  // Counts a failed login, locking the account once there have been too
+  // many in a row; the attempt that locks it fails with 429 too.
+  async recordFailedLogin(userId) {
+    const { maxAttempts, durationMs } = this.loginLockout;
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { failedLogins: 1 } },
+      { new: true }
+    ).select('+failedLogins');
+    if (user && user.failedLogins >= maxAttempts) {
+      const lockedUntil = new Date(Date.now() + durationMs);
+      await User.updateOne({ _id: userId }, { failedLogins: 0, lockedUntil });
+      throw lockedOut(lockedUntil);
+    }
+  }
+
+  async refresh(refreshToken) {
+    const userId = this.tokens.verifyRefreshToken(refreshToken);
+    const user = userId && (await User.findById(userId));
+    if (!user) {
+      throw unauthorized('Invalid or expired token');
+    }
+
+    return {
+      accessToken: this.tokens.signAccessToken(user._id),
+      refreshToken: this.tokens.signRefreshToken(user._id),
+    };
+  }
+
+  // Turns a guest into a full account, keeping their ID and so their session
+  // memberships and swipes. Their display name is kept unless a new userName
+  // is given. Resolves to tokens as for logging in.
+  async upgradeGuest(userId, { userName, email, password }) {
+    const user = await this.find(userId);
+    if (!user.isGuest) {
+      throw conflict('Only guests can be upgraded');
+    }
+
+    const name = userName || user.userName;
+    const existingUser = await User.findOne(
+      takenBy([{ userName: name }, { email }])
+    );
+    if (existingUser) {
+      throw conflict('Username or email already taken.');
+    }
+
+    user.set({
+      userName: name,
+      email,
+      password: await bcrypt.hash(password, 10),
+      isGuest: false,
+    });
+    await user.save();
+
+    return {
+      accessToken: this.tokens.signAccessToken(user._id),
+      refreshToken: this.tokens.signRefreshToken(user._id),
+      user: summaryOf(user),
+    };
+  }
+
+  async getProfile(userId) {
+    return profileOf(await this.find(userId));
+  }
+
+  async updateProfile(
+    userId,
+    { userName, email, currentPassword, newPassword }
+  ) {
+    const user = await this.find(userId, '+password');
+
+    const taken = [];
+    if (userName && userName !== user.userName) taken.push({ userName });
+    if (email && email !== user.email) taken.push({ email });
+    if (taken.length > 0) {
+      const existingUser = await User.findOne({
+        ...takenBy(taken),
+        _id: { $ne: user._id },
+      });
+      if (existingUser) {
+        throw conflict('Username or email already taken.');
+      }
+    }
+
+    if (newPassword) {
+      const isMatch =
+        user.password && (await bcrypt.compare(currentPassword, user.password));
+      if (!isMatch) {
+        throw unauthorized('Current password is incorrect.');
+      }
+      user.password = await bcrypt.hash(newPassword, 10);
+    }
+
+    if (userName) user.userName = userName;
+    if (email) user.email = email;
+    await user.save();
+
+    return profileOf(user);
+  }
+
+  // One page of the sessions the user created or joined, most recently
+  // updated first, each with its current result.
+  async listSessions(userId, { status, page = 1, limit = 20 } = {}) {
+    const user = await this.find(userId);
+
+    const filter = {
+      _id: { $in: [...user.createdSessions, ...user.joinedSessions] },
+    };
+    if (status) {
+      filter.status = status;
+    }
+
+    const [total, sessions] = await Promise.all([
+      Session.countDocuments(filter),
+      Session.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    return {
+      page,
+      limit,
+      total,
+      sessions: sessions.map((session) => {
+        const { rule, winners } = resultOf(session);
+        return {
+          id: session._id,
+          title: session.title,
+          status: session.status,
+          role: session.isCreator(user._id) ? 'creator' : 'member',
+          memberCount: session.users.length,
+          updatedAt: session.updatedAt,
+          result: { rule, winners },
+        };
+      }),
+    };
+  }
+
+  // Hands a session the user created to `successor`, unless it changed hands
+  // or the successor left meanwhile. Resolves to whether it was handed over.
+  async handOver(session, userId, successor) {
+    const handed = await withTransaction(async () => {
+      const updated = await Session.findOneAndUpdate(
+        { _id: session._id, createdBy: userId, users: successor },
+        { createdBy: successor },
+        { new: true }
+      );
+      if (updated) {
+        await User.updateOne(
+          { _id: successor },
+          {
+            $addToSet: { createdSessions: session._id },
+            $pull: { joinedSessions: session._id },
+          }
+        );
+      }
+      return updated;
+    });
+    return Boolean(handed);
+  }
+
+  // Cancels a session the user created if it is still open.
+  async cancelCreated(session, userId) {
+    const cancelled = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        createdBy: userId,
+        status: { $in: ['Pending', 'Active'] },
+      },
+      { status: 'Cancelled' },
+      { new: true }
+    );
+    if (cancelled) {
+      this.sessionService.statusChanged(cancelled);
+    }
+  }
+
+  // Deletes the account after removing the user from their sessions. Sessions
+  // they created are handed to the next member with a full account
+  // (`createdSessions: 'transfer'`) or cancelled first, so removing the creator never completes
+  // a session nobody is left to own. Each removal goes through
+  // SessionService.removeFromSession, which keeps swipes recorded meanwhile,
+  // completes sessions everyone left has finished and tells members.
+  async deleteAccount(userId, { createdSessions = 'transfer' } = {}) {
+    const user = await this.find(userId);
+
+    const sessions = await Session.find({
+      $or: [{ users: user._id }, { createdBy: user._id }],
+    });
+
+    for (const session of sessions) {
+      if (session.isCreator(user._id)) {
+        const successor = await User.firstAccount(
+          session.users.filter((member) => !member.equals(user._id))
+        );
+        const handed =
+          createdSessions === 'transfer' &&
+          successor !== undefined &&
+          (await this.handOver(session, user._id, successor));
+        if (!handed) {
+          await this.cancelCreated(session, user._id);
+        }
+      }
+      if (session.isMember(user._id)) {
+        try {
+          await this.sessionService.removeFromSession(session, user._id);
+        } catch (err) {
+          // They may have been removed since the sessions were read.
+          if (err.status !== 404) {
+            throw err;
+          }
+        }
+      }
+    }
+
+    await User.deleteOne({ _id: user._id });
+  }
+}
+
+module.exports = UserService;
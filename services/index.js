@@ -0,0 +1,35 @@
+const CatalogService = require('./CatalogService');
+const CommentService = require('./CommentService');
+const SessionScheduler = require('./SessionScheduler');
+const SessionService = require('./SessionService');
+const TemplateService = require('./TemplateService');
+const UserService = require('./UserService');
+
+const createServices = ({ config = {}, events, metrics } = {}) => {
+  const catalogService = new CatalogService();
+  const templateService = new TemplateService({ catalogService });
+  const sessionService = new SessionService({
+    config,
+    events,
+    metrics,
+    templateService,
+  });
+
+  return {
+    catalogService,
+    templateService,
+    sessionService,
+    commentService: new CommentService({ events, sessionService }),
+    userService: new UserService({ config, sessionService }),
+  };
+};
+
+module.exports = {
+  CatalogService,
+  CommentService,
+  SessionScheduler,
+  SessionService,
+  TemplateService,
+  UserService,
+  createServices,
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Lets every operation inside a transaction's callback use its session
+// without passing it around.
+mongoose.set('transactionAsyncLocalStorage', true);
+
+const supported = new WeakMap();
+
+// Transactions need a replica set or a sharded cluster; standalone servers
+// (as commonly used in development and the tests) reject them.
+const supportsTransactions = async (connection) => {
+  if (!supported.has(connection)) {
+    const hello = await connection.db.admin().command({ hello: 1 });
+    supported.set(
+      connection,
+      Boolean(hello.setName) || hello.msg === 'isdbgrid'
+    );
+  }
+  return supported.get(connection);
+};
+
+// Runs `work` in a transaction, so its writes to several documents are all
+// applied or none are, and resolves to what it resolves to. `work` may be
+// retried after transient errors, so it should only write: publish events
+// once it has resolved, and prefer atomic updates ($addToSet, $pull) to
+// changing documents loaded beforehand. Without transaction support it runs
+// as is.
+const withTransaction = async (work, connection = mongoose.connection) =>
+  (await supportsTransactions(connection))
+    ? connection.transaction(() => work())
+    : work();
+
+module.exports = { supportsTransactions, withTransaction };
@@ -0,0 +1,50 @@
+const { logger: defaultLogger } = require('./observability/logger');
+
+// Returns a function that shuts the server down gracefully: /readyz starts
+// failing so load balancers stop sending traffic, the server stops accepting
+// connections and waits for in-flight requests, the scheduler finishes its
+// pass, and only then is the database connection closed. Connections still
+// open after `timeoutMs` (such as event streams) are cut. Calling it again
+// returns the shutdown already in progress.
+const createShutdown = ({
+  app,
+  server,
+  scheduler,
+  db,
+  timeoutMs = 10 * 1000,
+  logger = defaultLogger,
+}) => {
+  let shuttingDown = null;
+
+  const shutdown = async (signal) => {
+    logger.info('Shutting down', { signal });
+    app.locals.shuttingDown = true;
+
+    const closed = new Promise((resolve, reject) => {
+      server.close((err) => (err ? reject(err) : resolve()));
+    });
+    server.closeIdleConnections();
+    const timer = setTimeout(() => {
+      logger.warn('Closing connections still open after the timeout', {
+        timeoutMs,
+      });
+      server.closeAllConnections();
+    }, timeoutMs);
+    timer.unref();
+
+    try {
+      await Promise.all([closed, scheduler && scheduler.stop()]);
+    } finally {
+      clearTimeout(timer);
+    }
+    await db.close();
+    logger.info('Shutdown complete');
+  };
+
+  return (signal) => {
+    shuttingDown = shuttingDown || shutdown(signal);
+    return shuttingDown;
+  };
+};
+
+module.exports = { createShutdown };
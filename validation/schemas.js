@@ -0,0 +1,287 @@
+const Joi = require('joi');
+const Session = require('../models/Session');
+const {
+  DECISION_RULE_NAMES,
+  LIMITED_ACTIONS,
+  SWIPE_ACTIONS,
+} = require('../results/decisionRules');
+
+const SESSION_STATUSES = Session.schema.path('status').enumValues;
+const MEMBER_ROLES = ['member', 'co-host'];
+const MAX_PAGE_SIZE = 100;
+const MAX_BATCH_SIZE = 50;
+
+const objectId = () =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': '{{#label}} must be a valid ID' });
+
+const sessionParams = Joi.object({ id: objectId().required() });
+const optionParams = sessionParams.keys({
+  optionId: Joi.string().required(),
+});
+const memberParams = sessionParams.keys({ memberId: objectId().required() });
+const commentParams = sessionParams.keys({ commentId: objectId().required() });
+const inviteParams = Joi.object({ token: Joi.string().required() });
+const catalogParams = Joi.object({ catalogId: objectId().required() });
+const catalogItemParams = catalogParams.keys({
+  itemId: Joi.string().required(),
+});
+const templateParams = Joi.object({ templateId: objectId().required() });
+
+const decisionRule = Joi.string().valid(...DECISION_RULE_NAMES);
+const quorum = Joi.number().greater(0).max(1);
+const userName = Joi.string().trim().min(1).max(50);
+const email = Joi.string().email();
+const password = Joi.string().min(8).max(128);
+
+// How many of each limited swipe action (superlike, veto) a member gets.
+const allowances = Joi.object(
+  Object.fromEntries(
+    LIMITED_ACTIONS.map((action) => [action, Joi.number().integer().min(0)])
+  )
+);
+// When the scheduler should start the session and stop accepting swipes.
+const schedule = {
+  autoStartAt: Joi.date().iso().greater('now'),
+  swipeDeadline: Joi.date()
+    .iso()
+    .greater('now')
+    .when('autoStartAt', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('autoStartAt')),
+    }),
+};
+const optionDescription = Joi.string().trim().min(1).max(500);
+const commentBody = Joi.object({
+  text: Joi.string().trim().min(1).max(2000).required(),
+});
+const page = Joi.number().integer().min(1).default(1);
+const pageSize = (fallback) =>
+  Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(fallback);
+const listScope = Joi.string().valid('all', 'mine', 'public').default('all');
+
+// Catalog and template items. `title` becomes the session option's
+// description and `description` its details.
+const itemFields = {
+  title: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().allow('').max(500),
+  imageUrl: Joi.string().uri({ scheme: ['http', 'https'] }),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(30)).unique().max(20),
+};
+const catalogItem = Joi.object({
+  ...itemFields,
+  title: itemFields.title.required(),
+});
+const catalogItems = Joi.array().items(catalogItem).max(200);
+
+const catalogFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().allow('').max(500),
+  isPublic: Joi.boolean(),
+};
+const templateFields = {
+  ...catalogFields,
+  decisionRule,
+  quorum,
+  options: catalogItems,
+};
+
+// Request schemas, keyed by handler. Each entry lists the parts of the
+// request (`params`, `query`, `body`) that the validate middleware checks.
+// Path parameters are named as in the /api/v1 routes: `id` is the session.
+const schemas = {
+  createSession: {
+    body: Joi.object({
+      title: Joi.string()
+        .trim()
+        .min(1)
+        .max(200)
+        .when('templateId', { is: Joi.exist(), otherwise: Joi.required() }),
+      decisionRule,
+      quorum,
+      lockVotesOnComplete: Joi.boolean(),
+      allowances,
+      ...schedule,
+      templateId: objectId(),
+    }),
+  },
+  sessionById: { params: sessionParams },
+  swipeOption: {
+    params: optionParams,
+    body: Joi.object({
+      swipeAction: Joi.string()
+        .valid(...SWIPE_ACTIONS)
+        .required(),
+    }),
+  },
+  exportSession: {
+    params: sessionParams,
+    query: Joi.object({
+      format: Joi.string().valid('json', 'csv').default('json'),
+      table: Joi.string().valid('options', 'members').default('options'),
+    }),
+  },
+  nextOptions: {
+    params: sessionParams,
+    query: Joi.object({
+      limit: Joi.number().integer().min(1).max(MAX_BATCH_SIZE).default(10),
+    }),
+  },
+  swipeHistory: {
+    params: sessionParams,
+    query: Joi.object({ memberId: objectId(), page, limit: pageSize(50) }),
+  },
+  updateSettings: {
+    params: sessionParams,
+    body: Joi.object({
+      lockVotesOnComplete: Joi.boolean(),
+      allowances,
+      autoStartAt: schedule.autoStartAt.allow(null),
+      swipeDeadline: schedule.swipeDeadline.allow(null),
+    }).min(1),
+  },
+  createInvite: {
+    params: sessionParams,
+    body: Joi.object({
+      expiresInMinutes: Joi.number().positive(),
+      maxUses: Joi.number().integer().positive(),
+    }),
+  },
+  inviteToken: { params: inviteParams },
+  memberAction: { params: memberParams },
+  memberRole: {
+    params: memberParams,
+    body: Joi.object({
+      role: Joi.string()
+        .valid(...MEMBER_ROLES)
+        .required(),
+    }),
+  },
+  sessionEvents: {
+    params: sessionParams,
+    query: Joi.object({ token: Joi.string() }),
+  },
+  addOption: {
+    params: sessionParams,
+    body: Joi.object({ description: optionDescription.required() }),
+  },
+  updateOption: {
+    params: optionParams,
+    body: Joi.object({ description: optionDescription.required() }),
+  },
+  reorderOptions: {
+    params: sessionParams,
+    body: Joi.object({
+      optionIds: Joi.array().items(Joi.string()).unique().required(),
+    }),
+  },
+  deleteOption: { params: optionParams },
+  listComments: {
+    params: sessionParams,
+    query: Joi.object({ page, limit: pageSize(50) }),
+  },
+  listOptionComments: {
+    params: optionParams,
+    query: Joi.object({ page, limit: pageSize(50) }),
+  },
+  postComment: { params: sessionParams, body: commentBody },
+  postOptionComment: { params: optionParams, body: commentBody },
+  updateComment: { params: commentParams, body: commentBody },
+  deleteComment: { params: commentParams },
+  updateDecisionRule: {
+    params: sessionParams,
+    body: Joi.object({
+      decisionRule: decisionRule.required(),
+      quorum,
+    }),
+  },
+  listCatalogs: {
+    query: Joi.object({ scope: listScope, tag: Joi.string().trim() }),
+  },
+  createCatalog: {
+    body: Joi.object({
+      ...catalogFields,
+      name: catalogFields.name.required(),
+      items: catalogItems,
+    }),
+  },
+  catalogById: { params: catalogParams },
+  updateCatalog: {
+    params: catalogParams,
+    body: Joi.object(catalogFields).min(1),
+  },
+  addCatalogItem: { params: catalogParams, body: catalogItem },
+  updateCatalogItem: {
+    params: catalogItemParams,
+    body: Joi.object(itemFields).min(1),
+  },
+  catalogItem: { params: catalogItemParams },
+  listTemplates: { query: Joi.object({ scope: listScope }) },
+  createTemplate: {
+    body: Joi.object({
+      ...templateFields,
+      name: templateFields.name.required(),
+      catalogId: objectId(),
+      itemIds: Joi.array().items(Joi.string()).unique(),
+    }).with('itemIds', 'catalogId'),
+  },
+  templateById: { params: templateParams },
+  updateTemplate: {
+    params: templateParams,
+    body: Joi.object(templateFields).min(1),
+  },
+  joinAsGuest: {
+    params: inviteParams,
+    body: Joi.object({ displayName: userName.required() }),
+  },
+  createUser: {
+    body: Joi.object({
+      userName: userName.required(),
+      email: email.required(),
+      password: password.required(),
+    }),
+  },
+  upgradeGuest: {
+    body: Joi.object({
+      userName,
+      email: email.required(),
+      password: password.required(),
+    }),
+  },
+  login: {
+    body: Joi.object({
+      email: Joi.string().required(),
+      password: Joi.string().required(),
+    }),
+  },
+  refreshToken: {
+    body: Joi.object({ refreshToken: Joi.string().required() }),
+  },
+  updateProfile: {
+    body: Joi.object({
+      userName,
+      email,
+      currentPassword: Joi.string(),
+      newPassword: password,
+    })
+      .or('userName', 'email', 'newPassword')
+      .with('newPassword', 'currentPassword'),
+  },
+  mySessions: {
+    query: Joi.object({
+      status: Joi.string().valid(...SESSION_STATUSES),
+      page,
+      limit: pageSize(20),
+    }),
+  },
+  deleteAccount: {
+    body: Joi.object({
+      createdSessions: Joi.string()
+        .valid('transfer', 'cancel')
+        .default('transfer'),
+    }),
+  },
+};
+
+module.exports = { schemas, objectId, MEMBER_ROLES, SWIPE_ACTIONS };